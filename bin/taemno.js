@@ -5,12 +5,20 @@
  * Command-line interface for managing secrets
  */
 const taemnoOS = require("../index.js");
+const { TaemnoOS, parseEnv, parseReference, formatReference, ResolutionError, AuditLog, describeCode } = require("../index.js");
+const { planImport } = require("../src/importer.js");
+const { scanContent, parseAllowlist, toSarif } = require("../src/scanner.js");
+const { formatEnv, FORMATS } = require("../src/format.js");
+const { writeFileAtomic, encodeSecretData, decodeSecretData } = require("../src/utility.js");
+const { createTeamProvider } = require("../src/providers/team.js");
+const { AgentClient, startAgent } = require("../src/agent.js");
+const { spawn } = require("child_process");
 const fs = require("fs").promises;
 const path = require("path");
 const os = require("os");
 
 // Parse command line arguments
-const args = process.argv.slice(2);
+const { args, profile, confirmProduction } = parseGlobalOptions(process.argv.slice(2));
 const command = args[0];
 
 const cliName = "taemno-env";
@@ -23,36 +31,339 @@ Usage:
   taemno-os [command] [options]
 
 Commands:
-  set <service> <account> <secret>   Store a secret
-  get <service> <account>            Retrieve a secret
+  set <service> <account>            Store a secret, prompting for it
+      [--stdin | --from-file path]   without echo or reading it from stdin
+                                     or a file (data that is not text is
+                                     stored base64 with a "base64:" tag)
+  get <service> <account>            Retrieve a secret, binary data as is
+      [--output file]                writable only by you
+      [--clipboard-free]             never print it to a terminal
   delete <service> <account>         Delete a secret
   exists <service> <account>         Check if a secret exists
-  resolve [file]                     Resolve secrets in environment variables
-  verify [file]                      Verify all secrets are accessible
+  list [service] [--json]            List stored secrets (names only)
+  generate <service> <account>       Store a random secret
+           [--format fmt]            password, hex, base64url or uuid
+           [--length n]              characters, default 32
+           [--charset set] [--print] alphanumeric, alpha, numeric, symbols
+                                     or the characters to use
+  rotate <service> <account>         Replace a secret with a random one and
+         [--keep n] [options]        keep the old value as <account>@v1,
+                                     accepts the generate options
+  resolve [file] [--format fmt]      Resolve secrets in environment variables,
+          [--only KEY,...]           fmt is dotenv (default), shell, fish,
+                                     powershell, json, yaml, docker, systemd
+                                     or github
+  render <template> -o <output>      Replace secret references in a config
+         [--format fmt]              file, fmt is json, yaml or raw
+                                     (detected from the file name)
+  verify [file] [--schema file]      Verify all secrets are accessible and
+                                     the environment matches a schema
+  run [--env-file file] -- <cmd>     Run a command with secrets resolved,
+      [--no-redact] [--watch]        masking them in its output, and restart
+                                     it when the env file or a secret changes
+                                     (--watch polls the keychain, which may
+                                     prompt for access on macOS). Masking
+                                     pipes the output, use --no-redact to
+                                     keep the terminal for colors and
+                                     interactive tools
+  import <file> --service <service>  Store plaintext values and rewrite them
+         [--secrets-only]            as references, with --secrets-only
+         [--dry-run] [--no-backup]   only those that look like secrets
+  scan [files...] [--format fmt]     Find plaintext secrets in env files,
+       [--allowlist file]            fmt is text, json or sarif
+  audit verify [file]                Check the audit log for edits and
+                                     truncation (default TAEMNO_AUDIT_LOG)
+  identity                           Print your team public key, creating
+                                     the key pair in the keychain first
+  grant <name> <public-key>          Let a team member read the team file
+        [--file file]                (default .taemno/secrets.enc.json),
+                                     the first grant must be your own key
+  revoke <name> [--file file]        Remove a team member and re-encrypt
+                                     the team file
+  recipients [--file file] [--json]  List team members
+  agent start [--idle-timeout s]     Start an agent holding os:// and file://
+              [--foreground]         secrets in memory, dropped after s
+                                     seconds without use (default 900)
+  agent stop                         Stop the agent
+  agent lock                         Drop every secret the agent holds
   help                               Show this help message
 
+  Set TAEMNO_AUDIT_LOG to a file path to record every read, write and
+  delete of a secret in a hash-chained audit log. The chain is keyed with
+  a key kept in the keychain, so rewriting entries takes keychain access.
+
+  <service> <account> may also be given as a single reference such as
+  file://service/account to use a provider other than os://. The last
+  path segment is the account: os://team/app/db/password is account
+  "password" of service "team/app/db".
+
+  team:// references read the team file, which is encrypted to the public
+  key of every team member and meant to be committed. Set TAEMNO_TEAM_FILE
+  to use another path.
+
+  While an agent runs, commands read secrets through it instead of the
+  keychain. Set TAEMNO_AGENT_SOCK to use a socket other than
+  ~/.taemno/agent.sock.
+
+Options:
+  --profile <name>                   Use a profile from ~/.taemno/profiles.json
+                                     (default TAEMNO_PROFILE)
+  --confirm-production               Allow a profile marked as production
+
+  A profile prefixes service names or selects a separate keychain, so the
+  same reference reads each stage's secret. Set TAEMNO_PROFILES to use
+  another profiles file.
+
 Examples:
-  taemno-os set service account "my-secret"
-  taemno-os get service account
+  taemno-os set service account
+  taemno-os set service tls.key --from-file server.key
+  printf '%s' "$TOKEN" | taemno-os set service token --stdin
+  taemno-os get service tls.key --output server.key
+  taemno-os list service --json
+  taemno-os generate service DB_PASSWORD --charset symbols --length 24
+  taemno-os rotate service API_KEY --format base64url --keep 2
   taemno-os resolve .env
+  eval "$(taemno-os resolve .env --format shell --only DB_URL,API_KEY)"
+  taemno-os render config.yaml.tmpl -o config.yaml
   taemno-os verify
+  taemno-os verify .env --schema .env.schema
+  taemno-os run --env-file .env -- node server.js
+  taemno-os run --watch --env-file .env -- node server.js
+  taemno-os --profile staging get db password
+  taemno-os run --profile prod --confirm-production -- node server.js
+  taemno-os import .env --service myapp --dry-run
+  taemno-os scan .env .env.production --format sarif
+  taemno-os grant alice Ie7oL2f3...
+  taemno-os set team://db/password
+  taemno-os agent start --idle-timeout 3600
 `;
 
+// Signals relayed to the child process started by run. SIGUSR1 is left
+// out: it starts Node's inspector in this process.
+const FORWARDED_SIGNALS = ["SIGINT", "SIGTERM", "SIGHUP", "SIGQUIT", "SIGUSR2"];
+
+// Signals a terminal already delivers to the whole foreground process group
+const TTY_SIGNALS = ["SIGINT", "SIGQUIT"];
+
+// Milliseconds a child may take to exit before a restart kills it
+const RESTART_TIMEOUT = 10000;
+
+// Milliseconds to wait for the rest of a child's output once it exited,
+// a process it started may hold the pipes open
+const OUTPUT_DRAIN_TIMEOUT = 1000;
+
+/**
+ * Take the options accepted by every command out of the arguments. The
+ * command started by run, after "--" or its first word, is left alone.
+ * @param {Array} argv - Command line arguments
+ * @returns {Object} - Remaining arguments, profile name and production confirmation
+ */
+function parseGlobalOptions(argv) {
+	const separator = argv.indexOf("--");
+	const options = separator === -1 ? argv : argv.slice(0, separator);
+	const rest = [];
+	let profile;
+	let confirmProduction = false;
+
+	for (let i = 0; i < options.length; i++) {
+		if (options[i] === "--profile") {
+			if (i + 1 >= options.length) {
+				console.error("Error: Missing value for --profile");
+				process.exit(1);
+			}
+			profile = options[++i];
+		} else if (options[i].startsWith("--profile=")) {
+			profile = options[i].slice("--profile=".length);
+		} else if (options[i] === "--confirm-production") {
+			confirmProduction = true;
+		} else if (rest[0] === "run" && separator === -1) {
+			rest.push(...options.slice(i));
+			break;
+		} else {
+			rest.push(options[i]);
+		}
+	}
+
+	return {
+		args: separator === -1 ? rest : [...rest, ...argv.slice(separator)],
+		profile,
+		confirmProduction
+	};
+}
+
+/**
+ * Expand a leading scheme://service/account argument into service and account
+ * @param {Array} args - Command arguments
+ * @returns {Object} - Provider scheme (undefined for the default) and expanded arguments
+ */
+function expandTarget(args) {
+	if (args.length > 0 && args[0].includes("://")) {
+		const { scheme, service, account } = parseReference(args[0], taemnoOS.options.defaultScheme);
+		return { scheme, args: [service, account, ...args.slice(1)] };
+	}
+	return { scheme: undefined, args };
+}
+
+/**
+ * Print every failed reference, one per line
+ * @param {Array<Object>} failures - Failures from ResolutionError or verifyEnvironment
+ */
+function printFailures(failures) {
+	for (const { key, reference, code, cause } of failures) {
+		console.error(`  ${key}: ${reference} [${describeCode(code)}] ${cause.message}`);
+	}
+}
+
+/**
+ * Report a resolution error, listing every failed reference
+ * @param {Error} error - Error thrown by resolveEnvironment
+ */
+function printResolveError(error) {
+	if (error instanceof ResolutionError) {
+		console.error(`Error: Failed to resolve ${error.failures.length} secret reference(s):`);
+		printFailures(error.failures);
+	} else {
+		console.error(`Error: ${error.message}`);
+	}
+}
+
+/**
+ * Read and parse an env file
+ * @param {string} file - Path to the env file
+ * @returns {Promise<Object>} - Parsed environment variables
+ */
+async function readEnvFile(file) {
+	const envContent = await fs.readFile(file, "utf8");
+	return parseEnv(envContent, { filename: file });
+}
+
+/**
+ * Read all of a stream
+ * @param {stream.Readable} stream - Stream to read
+ * @returns {Promise<Buffer>} - Contents
+ */
+async function readAll(stream) {
+	const chunks = [];
+	for await (const chunk of stream) {
+		chunks.push(chunk);
+	}
+	return Buffer.concat(chunks);
+}
+
+/**
+ * Read a line from the terminal without echoing it
+ * @param {string} prompt - Text shown before the input
+ * @returns {Promise<string>} - Entered text
+ */
+function readHidden(prompt) {
+	return new Promise((resolve, reject) => {
+		const input = process.stdin;
+		let value = "";
+
+		const finish = (error) => {
+			input.removeListener("data", onData);
+			input.setRawMode(false);
+			input.pause();
+			process.stderr.write("\n");
+			if (error) {
+				reject(error);
+			} else {
+				resolve(value);
+			}
+		};
+
+		const onData = (chunk) => {
+			for (const char of chunk) {
+				if (char === "\r" || char === "\n") {
+					return finish();
+				} else if (char === "\u0003" || (char === "\u0004" && value === "")) {
+					// Ctrl-C, or Ctrl-D on an empty line
+					return finish(new Error("Cancelled"));
+				} else if (char === "\u007f" || char === "\b") {
+					value = [...value].slice(0, -1).join("");
+				} else if (char === "\u0015") {
+					// Ctrl-U
+					value = "";
+				} else if (char >= " ") {
+					value += char;
+				}
+			}
+		};
+
+		process.stderr.write(prompt);
+		input.setRawMode(true);
+		input.setEncoding("utf8");
+		input.on("data", onData);
+		input.resume();
+	});
+}
+
+/**
+ * Read the secret for set from a file, stdin or a hidden prompt
+ * @param {Object} options - fromFile path or stdin flag
+ * @returns {Promise<string>} - Value to store
+ */
+async function readSecretInput(options) {
+	if (options.fromFile !== undefined) {
+		return encodeSecretData(await fs.readFile(options.fromFile));
+	}
+	if (options.stdin) {
+		return encodeSecretData(await readAll(process.stdin));
+	}
+	if (!process.stdin.isTTY) {
+		throw new Error("No secret given: pass --stdin or --from-file <path>, or run in a terminal to be prompted");
+	}
+
+	const secret = await readHidden("Secret: ");
+	if (secret === "") {
+		throw new Error("Secret must not be empty");
+	}
+	if ((await readHidden("Confirm secret: ")) !== secret) {
+		throw new Error("Secrets do not match");
+	}
+	return encodeSecretData(Buffer.from(secret, "utf8"));
+}
+
 /**
  * Process a set command
  * @param {Array} args - Command arguments
  */
-async function handleSet(args) {
-	if (args.length < 3) {
-		console.error("Error: Missing arguments for set command");
-		console.log("Usage: taemno-os set <service> <account> <secret>");
+async function handleSet(setArgs) {
+	const options = {};
+	const positional = [];
+
+	// Anything but the options themselves is a name or the secret, which may start with "-"
+	for (let i = 0; i < setArgs.length; i++) {
+		if (setArgs[i] === "--from-file" && i + 1 < setArgs.length) {
+			options.fromFile = setArgs[++i];
+		} else if (setArgs[i] === "--stdin") {
+			options.stdin = true;
+		} else {
+			positional.push(setArgs[i]);
+		}
+	}
+	const { scheme, args } = expandTarget(positional);
+	const sources = (args.length > 2 ? 1 : 0) + (options.stdin ? 1 : 0) + (options.fromFile !== undefined ? 1 : 0);
+
+	if (args.length < 2 || args.length > 3 || sources > 1) {
+		console.error(args.length < 2 ? "Error: Missing arguments for set command" : "Error: Give the secret only once");
+		console.log("Usage: taemno-os set <service> <account> [<secret> | --stdin | --from-file <path>]");
 		process.exit(1);
 	}
 
-	const [service, account, secret] = args;
+	const [service, account] = args;
 
 	try {
-		await taemnoOS.set(service, account, secret);
+		let secret;
+		if (args.length === 3) {
+			if (process.stdin.isTTY) {
+				console.error("Warning: a secret on the command line is visible in shell history and to other processes; omit it to be prompted");
+			}
+			secret = encodeSecretData(Buffer.from(args[2], "utf8"));
+		} else {
+			secret = await readSecretInput(options);
+		}
+		await taemnoOS.set(service, account, secret, scheme);
 		console.log(`Secret stored: ${service}/${account}`);
 	} catch (error) {
 		console.error(`Error: ${error.message}`);
@@ -64,29 +375,67 @@ async function handleSet(args) {
  * Process a get command
  * @param {Array} args - Command arguments
  */
-async function handleGet(args) {
-	if (args.length < 2) {
+async function handleGet(getArgs) {
+	let output;
+	let clipboardFree = false;
+	const positional = [];
+
+	for (let i = 0; i < getArgs.length; i++) {
+		if ((getArgs[i] === "-o" || getArgs[i] === "--output") && i + 1 < getArgs.length) {
+			output = getArgs[++i];
+		} else if (getArgs[i] === "--clipboard-free") {
+			clipboardFree = true;
+		} else {
+			positional.push(getArgs[i]);
+		}
+	}
+	const { scheme, args } = expandTarget(positional);
+
+	if (args.length !== 2) {
 		console.error("Error: Missing arguments for get command");
-		console.log("Usage: taemno-os get <service> <account>");
+		console.log("Usage: taemno-os get <service> <account> [--output <file>] [--clipboard-free]");
+		process.exit(1);
+	}
+
+	// Shown in a terminal, a secret can be copied from the screen or the scrollback
+	if (clipboardFree && output === undefined && process.stdout.isTTY) {
+		console.error("Error: --clipboard-free does not print secrets to a terminal; use --output <file> or a pipe");
 		process.exit(1);
 	}
 
 	const [service, account] = args;
 
+	let secret;
 	try {
-		const secret = await taemnoOS.get(service, account);
-		console.log(secret);
+		secret = await taemnoOS.get(service, account, scheme);
 	} catch (error) {
 		console.error(`Error: ${error.message}`);
 		process.exit(1);
 	}
+
+	const data = decodeSecretData(secret);
+	if (output !== undefined) {
+		try {
+			await writeFileAtomic(output, data, 0o600);
+		} catch (error) {
+			console.error(`Error: Failed to write ${output}: ${error.message}`);
+			process.exit(1);
+		}
+	} else if (!data.equals(Buffer.from(secret, "utf8"))) {
+		// Binary data, as the bytes it was read from
+		process.stdout.write(data);
+	} else {
+		console.log(secret);
+	}
 }
 
 /**
  * Process a delete command
  * @param {Array} args - Command arguments
  */
-async function handleDelete(args) {
+async function handleDelete(targetArgs) {
+	const { scheme, args } = expandTarget(targetArgs);
+
 	if (args.length < 2) {
 		console.error("Error: Missing arguments for delete command");
 		console.log("Usage: taemno-os delete <service> <account>");
@@ -96,7 +445,7 @@ async function handleDelete(args) {
 	const [service, account] = args;
 
 	try {
-		await taemnoOS.delete(service, account);
+		await taemnoOS.delete(service, account, scheme);
 		console.log(`Secret deleted: ${service}/${account}`);
 	} catch (error) {
 		console.error(`Error: ${error.message}`);
@@ -108,7 +457,9 @@ async function handleDelete(args) {
  * Process an exists command
  * @param {Array} args - Command arguments
  */
-async function handleExists(args) {
+async function handleExists(targetArgs) {
+	const { scheme, args } = expandTarget(targetArgs);
+
 	if (args.length < 2) {
 		console.error("Error: Missing arguments for exists command");
 		console.log("Usage: taemno-os exists <service> <account>");
@@ -118,7 +469,7 @@ async function handleExists(args) {
 	const [service, account] = args;
 
 	try {
-		const exists = await taemnoOS.exists(service, account);
+		const exists = await taemnoOS.exists(service, account, scheme);
 		console.log(exists ? "true" : "false");
 		process.exit(exists ? 0 : 1);
 	} catch (error) {
@@ -127,51 +478,282 @@ async function handleExists(args) {
 	}
 }
 
+/**
+ * Process a list command
+ * @param {Array} args - Command arguments
+ */
+async function handleList(args) {
+	const json = args.includes("--json");
+	const positional = args.filter((arg) => arg !== "--json");
+
+	if (positional.length > 1 || positional.some((arg) => arg.startsWith("-"))) {
+		console.error("Error: Invalid arguments for list command");
+		console.log("Usage: taemno-os list [service] [--json]");
+		process.exit(1);
+	}
+
+	// Accept file://service or file:// to list another provider
+	let scheme;
+	let service = positional[0] ?? null;
+	const schemeMatch = service && /^([a-z][a-z0-9+.-]*):\/\/(.*)$/.exec(service);
+	if (schemeMatch) {
+		scheme = schemeMatch[1];
+		service = schemeMatch[2] || null;
+	}
+
+	try {
+		const items = await taemnoOS.list(service, scheme);
+
+		if (json) {
+			console.log(JSON.stringify(items, null, "\t"));
+		} else {
+			// Encoded like a reference, so every line reads back unambiguously
+			for (const { service, account } of items) {
+				console.log(formatReference({ service, account }));
+			}
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Split generation options from the remaining arguments
+ * @param {Array} args - Command arguments
+ * @param {Array<string>} [extra] - Additional numeric options accepted by the command
+ * @returns {Object} - Generation options, print flag and positional arguments
+ */
+function parseGenerateArgs(args, extra = []) {
+	const options = {};
+	const positional = [];
+	let print = false;
+
+	for (let i = 0; i < args.length; i++) {
+		const name = args[i].slice(2);
+		if ((args[i] === "--format" || args[i] === "--charset") && i + 1 < args.length) {
+			options[name] = args[++i];
+		} else if ((args[i] === "--length" || extra.includes(name)) && i + 1 < args.length) {
+			options[name] = Number(args[++i]);
+		} else if (args[i] === "--print") {
+			print = true;
+		} else if (!args[i].startsWith("-")) {
+			positional.push(args[i]);
+		} else {
+			throw new Error(`Invalid argument: ${args[i]}`);
+		}
+	}
+
+	return { options, print, positional };
+}
+
+/**
+ * Process a generate command
+ * @param {Array} args - Command arguments
+ */
+async function handleGenerate(args) {
+	let parsed;
+	try {
+		parsed = parseGenerateArgs(args);
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+	const { scheme, args: target } = expandTarget(parsed.positional);
+
+	if (target.length !== 2) {
+		console.error("Error: Missing arguments for generate command");
+		console.log("Usage: taemno-os generate <service> <account> [--format fmt] [--length n] [--charset set] [--print]");
+		process.exit(1);
+	}
+
+	const [service, account] = target;
+
+	try {
+		const secret = await taemnoOS.generate(service, account, parsed.options, scheme);
+		console.log(parsed.print ? secret : `Secret generated: ${service}/${account}`);
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Process a rotate command
+ * @param {Array} args - Command arguments
+ */
+async function handleRotate(args) {
+	let parsed;
+	try {
+		parsed = parseGenerateArgs(args, ["keep"]);
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+	const { scheme, args: target } = expandTarget(parsed.positional);
+
+	if (target.length !== 2) {
+		console.error("Error: Missing arguments for rotate command");
+		console.log("Usage: taemno-os rotate <service> <account> [--keep n] [--format fmt] [--length n] [--charset set] [--print]");
+		process.exit(1);
+	}
+
+	const [service, account] = target;
+
+	try {
+		const { secret, previous } = await taemnoOS.rotate(service, account, parsed.options, scheme);
+		if (parsed.print) {
+			console.log(secret);
+		} else {
+			console.log(`Secret rotated: ${service}/${account}${previous ? `, previous value kept as ${service}/${previous}` : ""}`);
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
 /**
  * Process a resolve command
  * @param {Array} args - Command arguments
  */
 async function handleResolve(args) {
 	let env = process.env;
+	let file;
+	let format = "dotenv";
+	let only;
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === "--format" && i + 1 < args.length) {
+			format = args[++i];
+		} else if (args[i] === "--only" && i + 1 < args.length) {
+			only = args[++i].split(",").map((key) => key.trim()).filter(Boolean);
+		} else if (!args[i].startsWith("-") && file === undefined) {
+			file = args[i];
+		} else {
+			console.error(`Error: Invalid argument for resolve command: ${args[i]}`);
+			process.exit(1);
+		}
+	}
+
+	if (!FORMATS.includes(format)) {
+		console.error(`Error: Unknown format "${format}", expected one of ${FORMATS.join(", ")}`);
+		process.exit(1);
+	}
 
 	// If a file is specified, load it
-	if (args.length > 0) {
-		const file = args[0];
+	if (file) {
 		try {
-			const envContent = await fs.readFile(file, "utf8");
-			env = dotenv.parse(envContent);
+			env = await readEnvFile(file);
 		} catch (error) {
 			console.error(`Error: Failed to read env file: ${error.message}`);
 			process.exit(1);
 		}
 	}
 
+	// Filter before resolving so secrets that are not asked for are never read
+	if (only) {
+		const missing = only.filter((key) => !Object.hasOwn(env, key));
+		if (missing.length > 0) {
+			console.error(`Error: Not defined: ${missing.join(", ")}`);
+			process.exit(1);
+		}
+		env = Object.fromEntries(only.map((key) => [key, env[key]]));
+	}
+
+	let resolvedEnv;
 	try {
-		const resolvedEnv = await taemnoOS.resolveEnvironment(env);
+		resolvedEnv = await taemnoOS.resolveEnvironment(env);
+	} catch (error) {
+		printResolveError(error);
+		process.exit(1);
+	}
 
-		// Output the resolved environment
-		for (const [key, value] of Object.entries(resolvedEnv)) {
-			console.log(`${key}=${value}`);
-		}
+	try {
+		process.stdout.write(formatEnv(resolvedEnv, format));
 	} catch (error) {
 		console.error(`Error: ${error.message}`);
 		process.exit(1);
 	}
 }
 
+/**
+ * Process a render command
+ * @param {Array} args - Command arguments
+ */
+async function handleRender(args) {
+	let template;
+	let output;
+	let format;
+
+	for (let i = 0; i < args.length; i++) {
+		if ((args[i] === "-o" || args[i] === "--output") && i + 1 < args.length) {
+			output = args[++i];
+		} else if (args[i] === "--format" && i + 1 < args.length) {
+			format = args[++i];
+		} else if (!args[i].startsWith("-") && template === undefined) {
+			template = args[i];
+		} else {
+			console.error(`Error: Invalid argument for render command: ${args[i]}`);
+			process.exit(1);
+		}
+	}
+
+	if (!template || !output) {
+		console.error("Error: Missing arguments for render command");
+		console.log("Usage: taemno-os render <template> -o <output> [--format json|yaml|raw]");
+		process.exit(1);
+	}
+
+	let content;
+	try {
+		content = await fs.readFile(template, "utf8");
+	} catch (error) {
+		console.error(`Error: Failed to read template: ${error.message}`);
+		process.exit(1);
+	}
+
+	let rendered;
+	try {
+		rendered = await taemnoOS.render(content, { format, filename: template });
+	} catch (error) {
+		printResolveError(error);
+		process.exit(1);
+	}
+
+	try {
+		// The output holds plaintext secrets, keep it private
+		await writeFileAtomic(output, rendered, 0o600);
+	} catch (error) {
+		console.error(`Error: Failed to write ${output}: ${error.message}`);
+		process.exit(1);
+	}
+}
+
 /**
  * Process a verify command
  * @param {Array} args - Command arguments
  */
 async function handleVerify(args) {
 	let env = process.env;
+	let file;
+	let schema;
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === "--schema" && i + 1 < args.length) {
+			schema = args[++i];
+		} else if (!args[i].startsWith("-") && file === undefined) {
+			file = args[i];
+		} else {
+			console.error(`Error: Invalid argument for verify command: ${args[i]}`);
+			process.exit(1);
+		}
+	}
 
 	// If a file is specified, load it
-	if (args.length > 0) {
-		const file = args[0];
+	if (file) {
 		try {
-			const envContent = await fs.readFile(file, "utf8");
-			env = dotenv.parse(envContent);
+			env = await readEnvFile(file);
 		} catch (error) {
 			console.error(`Error: Failed to read env file: ${error.message}`);
 			process.exit(1);
@@ -179,16 +761,22 @@ async function handleVerify(args) {
 	}
 
 	try {
-		const result = await taemnoOS.verifyEnvironment(env);
+		const result = await taemnoOS.verifyEnvironment(env, { schema });
 
 		if (result.success) {
-			console.log("All secrets are available");
+			console.log(schema ? "All secrets are available and the environment matches the schema" : "All secrets are available");
 			process.exit(0);
 		} else {
-			console.error("Missing secrets:");
-			result.missingSecrets.forEach(({ key, service, account }) => {
-				console.error(`  ${key}: ${service}/${account}`);
-			});
+			if (result.missingSecrets.length > 0) {
+				console.error("Missing secrets:");
+				printFailures(result.missingSecrets);
+			}
+			if (result.violations?.length > 0) {
+				console.error("Schema violations:");
+				for (const { key, message } of result.violations) {
+					console.error(`  ${key} ${message}`);
+				}
+			}
 			process.exit(1);
 		}
 	} catch (error) {
@@ -197,9 +785,585 @@ async function handleVerify(args) {
 	}
 }
 
+/**
+ * Process an import command
+ * @param {Array} args - Command arguments
+ */
+async function handleImport(args) {
+	let file;
+	let service;
+	let dryRun = false;
+	let backup = true;
+	let secretsOnly = false;
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === "--service" && i + 1 < args.length) {
+			service = args[++i];
+		} else if (args[i] === "--dry-run") {
+			dryRun = true;
+		} else if (args[i] === "--secrets-only") {
+			secretsOnly = true;
+		} else if (args[i] === "--no-backup") {
+			backup = false;
+		} else if (!args[i].startsWith("-") && file === undefined) {
+			file = args[i];
+		} else {
+			console.error(`Error: Invalid argument for import command: ${args[i]}`);
+			process.exit(1);
+		}
+	}
+
+	if (!file || !service) {
+		console.error("Error: Missing arguments for import command");
+		console.log("Usage: taemno-os import <file> --service <service> [--secrets-only] [--dry-run] [--no-backup]");
+		process.exit(1);
+	}
+
+	// --service file://myapp stores into another provider
+	let scheme = taemnoOS.options.defaultScheme;
+	const schemeMatch = /^([a-z][a-z0-9+.-]*):\/\/(.+)$/.exec(service);
+	if (schemeMatch) {
+		[, scheme, service] = schemeMatch;
+	}
+
+	let content;
+	let plan;
+	try {
+		content = await fs.readFile(file, "utf8");
+		plan = planImport(content, { ...taemnoOS.options, service, scheme, secretsOnly, filename: file });
+	} catch (error) {
+		console.error(`Error: Failed to read env file: ${error.message}`);
+		process.exit(1);
+	}
+
+	for (const { key, reason } of plan.skipped) {
+		console.log(`Skipped ${key}: ${reason}`);
+	}
+
+	// Values that stay readable in the file are repeated last, where they are seen
+	const plaintext = plan.skipped.filter(({ reason }) => reason !== "empty value" && reason !== "already a reference").map(({ key }) => key);
+	const reportPlaintext = () => {
+		if (plaintext.length > 0) {
+			console.log(`Left ${plaintext.length} value(s) in plaintext: ${plaintext.join(", ")}`);
+		}
+	};
+
+	if (plan.secrets.length === 0) {
+		console.log("Nothing to import");
+		reportPlaintext();
+		return;
+	}
+
+	if (dryRun) {
+		for (const { key, reference } of plan.secrets) {
+			console.log(`Would store ${key} as ${reference}`);
+		}
+		reportPlaintext();
+		return;
+	}
+
+	const stored = [];
+	try {
+		const { mode } = await fs.stat(file);
+		if (backup) {
+			// The backup still holds plaintext values, keep it private
+			await writeFileAtomic(`${file}.bak`, content, 0o600);
+		}
+
+		for (const { key, value, service, account, reference } of plan.secrets) {
+			await taemnoOS.set(service, account, value, scheme);
+			stored.push(reference);
+			console.log(`Stored ${key} as ${reference}`);
+		}
+
+		await writeFileAtomic(file, plan.content, mode & 0o777);
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		if (stored.length > 0) {
+			// Stored values may have replaced earlier ones, so they are left in place
+			console.error(`${file} was not rewritten, but ${stored.length} secret(s) were already stored: ${stored.join(", ")}`);
+		}
+		process.exit(1);
+	}
+
+	console.log(`Imported ${plan.secrets.length} secret(s) into ${file}${backup ? `, backup saved to ${file}.bak` : ""}`);
+	reportPlaintext();
+}
+
+/**
+ * Process a scan command. Exits with 1 when anything is found, so it can
+ * run as a pre-commit hook.
+ * @param {Array} args - Command arguments
+ */
+async function handleScan(args) {
+	const files = [];
+	let format = "text";
+	let allowlistFile;
+
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === "--format" && i + 1 < args.length) {
+			format = args[++i];
+		} else if (args[i] === "--allowlist" && i + 1 < args.length) {
+			allowlistFile = args[++i];
+		} else if (!args[i].startsWith("-")) {
+			files.push(args[i]);
+		} else {
+			console.error(`Error: Invalid argument for scan command: ${args[i]}`);
+			process.exit(1);
+		}
+	}
+
+	if (!["text", "json", "sarif"].includes(format)) {
+		console.error(`Error: Unknown scan format: ${format}`);
+		process.exit(1);
+	}
+
+	if (files.length === 0) {
+		// Every env file in the current directory, except import backups
+		const names = await fs.readdir(".");
+		files.push(...names.filter((name) => /^\.env(\..+)?$/.test(name) && !name.endsWith(".bak")).sort());
+	}
+
+	let allowlist;
+	try {
+		const allowlistPath = allowlistFile || ".taemnoignore";
+		const content = await fs.readFile(allowlistPath, "utf8").catch((error) => {
+			if (error.code === "ENOENT" && !allowlistFile) return "";
+			throw error;
+		});
+		allowlist = parseAllowlist(content);
+	} catch (error) {
+		console.error(`Error: Failed to read allowlist: ${error.message}`);
+		process.exit(1);
+	}
+
+	const findings = [];
+	for (const file of files) {
+		try {
+			const content = await fs.readFile(file, "utf8");
+			findings.push(...scanContent(content, { ...taemnoOS.options, filename: file, allowlist }));
+		} catch (error) {
+			console.error(`Error: Failed to read ${file}: ${error.message}`);
+			process.exit(1);
+		}
+	}
+
+	if (format === "json") {
+		console.log(JSON.stringify(findings, null, 2));
+	} else if (format === "sarif") {
+		console.log(JSON.stringify(toSarif(findings), null, 2));
+	} else {
+		for (const { file, line, column, key, description, fingerprint } of findings) {
+			console.log(`${file}:${line}:${column}: ${key} looks like a plaintext secret (${description}) [${fingerprint}]`);
+		}
+		if (findings.length > 0) {
+			console.log(`\n${findings.length} plaintext secret(s) found. Move them to the keychain with import, or add the fingerprint to .taemnoignore`);
+		}
+	}
+
+	if (findings.length > 0) {
+		process.exit(1);
+	}
+}
+
+/**
+ * Process an audit command
+ * @param {Array} args - Command arguments
+ */
+async function handleAudit(args) {
+	const [subcommand, file = process.env.TAEMNO_AUDIT_LOG, ...rest] = args;
+
+	if (subcommand !== "verify" || !file || rest.length > 0) {
+		console.error("Error: Invalid arguments for audit command");
+		console.log("Usage: taemno-os audit verify [file]");
+		process.exit(1);
+	}
+
+	try {
+		const result = await new AuditLog(file).verify();
+		if (!result.valid) {
+			console.error(`Audit log verification failed at line ${result.line}: ${result.reason}`);
+			process.exit(1);
+		}
+		console.log(`Audit log intact: ${result.entries} entries`);
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Take --file out of team command arguments
+ * @param {Array} args - Command arguments
+ * @returns {Object} - Team file provider and remaining arguments
+ */
+function parseTeamArgs(args) {
+	const rest = [];
+	let file;
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === "--file" && i + 1 < args.length) {
+			file = args[++i];
+		} else if (args[i].startsWith("--file=")) {
+			file = args[i].slice("--file=".length);
+		} else {
+			rest.push(args[i]);
+		}
+	}
+	return { team: createTeamProvider({ path: file }), args: rest };
+}
+
+/**
+ * Process an identity command
+ * @param {Array} args - Command arguments
+ */
+async function handleIdentity(args) {
+	if (args.length > 0) {
+		console.error("Error: Invalid arguments for identity command");
+		console.log("Usage: taemno-os identity");
+		process.exit(1);
+	}
+
+	try {
+		const { publicKey, created } = await createTeamProvider().identity();
+		if (created) {
+			console.error("Created a team key pair, the private key is stored in the keychain");
+		}
+		console.log(publicKey);
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Process a grant command
+ * @param {Array} args - Command arguments
+ */
+async function handleGrant(args) {
+	const { team, args: positional } = parseTeamArgs(args);
+
+	if (positional.length !== 2 || positional.some((arg) => arg.startsWith("--"))) {
+		console.error("Error: Invalid arguments for grant command");
+		console.log("Usage: taemno-os grant <name> <public-key> [--file file]");
+		process.exit(1);
+	}
+
+	const [name, publicKey] = positional;
+	try {
+		const created = await team.grant(name, publicKey);
+		console.log(created ? `Created team file with ${name} as recipient` : `Granted ${name} access to the team file`);
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Process a revoke command
+ * @param {Array} args - Command arguments
+ */
+async function handleRevoke(args) {
+	const { team, args: positional } = parseTeamArgs(args);
+
+	if (positional.length !== 1 || positional[0].startsWith("--")) {
+		console.error("Error: Invalid arguments for revoke command");
+		console.log("Usage: taemno-os revoke <name> [--file file]");
+		process.exit(1);
+	}
+
+	try {
+		const count = await team.revoke(positional[0]);
+		console.log(`Revoked ${positional[0]} and re-encrypted ${count} secret(s)`);
+		console.log("Values they could read remain in version control history, rotate them");
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Process a recipients command
+ * @param {Array} args - Command arguments
+ */
+async function handleRecipients(args) {
+	const { team, args: rest } = parseTeamArgs(args);
+	const json = rest.includes("--json");
+
+	if (rest.some((arg) => arg !== "--json")) {
+		console.error("Error: Invalid arguments for recipients command");
+		console.log("Usage: taemno-os recipients [--file file] [--json]");
+		process.exit(1);
+	}
+
+	try {
+		const recipients = await team.recipients();
+		if (json) {
+			console.log(JSON.stringify(recipients, null, "\t"));
+		} else {
+			for (const { name, publicKey } of recipients) {
+				console.log(`${name}\t${publicKey}`);
+			}
+		}
+	} catch (error) {
+		console.error(`Error: ${error.message}`);
+		process.exit(1);
+	}
+}
+
+/**
+ * Start the agent in the background and wait until it answers
+ * @param {Array} agentArgs - Options passed on to the agent process
+ */
+async function spawnAgent(agentArgs) {
+	const child = spawn(process.execPath, [__filename, "agent", "start", "--foreground", ...agentArgs], {
+		detached: true,
+		stdio: ["ignore", "ignore", "pipe"]
+	});
+	let stderr = "";
+	child.stderr.setEncoding("utf8");
+	child.stderr.on("data", (chunk) => {
+		stderr += chunk;
+	});
+
+	const client = new AgentClient();
+	const deadline = Date.now() + 10000;
+	const started = await new Promise((resolve) => {
+		child.on("exit", () => resolve(false));
+		const poll = async () => {
+			const response = await client.call({ op: "ping" }, 1000).catch(() => null);
+			if (response?.pid === child.pid) {
+				resolve(true);
+			} else if (Date.now() > deadline) {
+				resolve(false);
+			} else {
+				setTimeout(poll, 50);
+			}
+		};
+		poll();
+	});
+
+	if (!started) {
+		if (child.exitCode === null) {
+			child.kill();
+		}
+		process.stderr.write(stderr || "Error: Agent did not start\n");
+		process.exit(1);
+	}
+
+	child.stderr.destroy();
+	child.unref();
+	console.log(`Agent started (pid ${child.pid}) on ${client.socketPath}`);
+}
+
+/**
+ * Process an agent command
+ * @param {Array} args - Command arguments
+ */
+async function handleAgent(args) {
+	const [subcommand, ...options] = args;
+	const usage = () => {
+		console.error("Error: Invalid arguments for agent command");
+		console.log("Usage: taemno-os agent start [--idle-timeout seconds] [--foreground]\n       taemno-os agent stop|lock");
+		process.exit(1);
+	};
+
+	if (subcommand === "stop" || subcommand === "lock") {
+		if (options.length > 0) usage();
+		const response = await new AgentClient().call({ op: subcommand }, 5000);
+		if (response === null) {
+			console.error("Error: No agent running");
+			process.exit(1);
+		}
+		console.log(subcommand === "stop" ? "Agent stopped" : "Agent locked, held secrets were dropped");
+		return;
+	}
+	if (subcommand !== "start") usage();
+
+	let idleTimeout;
+	let foreground = false;
+	for (let i = 0; i < options.length; i++) {
+		if (options[i] === "--idle-timeout" && i + 1 < options.length) {
+			idleTimeout = Number(options[++i]);
+		} else if (options[i] === "--foreground") {
+			foreground = true;
+		} else {
+			usage();
+		}
+	}
+	if (idleTimeout !== undefined && !(Number.isInteger(idleTimeout) && idleTimeout > 0)) {
+		console.error("Error: --idle-timeout must be a positive number of seconds");
+		process.exit(1);
+	}
+
+	if (!foreground) {
+		await spawnAgent(idleTimeout === undefined ? [] : ["--idle-timeout", String(idleTimeout)]);
+		return;
+	}
+
+	const server = await startAgent({
+		createInstance: (instanceOptions) => new TaemnoOS(instanceOptions),
+		idleTimeout: idleTimeout === undefined ? undefined : idleTimeout * 1000
+	});
+	for (const signal of ["SIGINT", "SIGTERM", "SIGHUP"]) {
+		process.on(signal, () => server.close());
+	}
+	await new Promise((resolve) => server.on("close", resolve));
+	process.exit(0);
+}
+
+/**
+ * Process a run command
+ * @param {Array} args - Command arguments
+ */
+async function handleRun(args) {
+	const separator = args.indexOf("--");
+	const options = separator === -1 ? [] : args.slice(0, separator);
+	const [childCommand, ...childArgs] = separator === -1 ? args : args.slice(separator + 1);
+
+	let envFile;
+	let redact = true;
+	let watch = false;
+	for (let i = 0; i < options.length; i++) {
+		if (options[i] === "--env-file" && i + 1 < options.length) {
+			envFile = options[++i];
+		} else if (options[i].startsWith("--env-file=")) {
+			envFile = options[i].slice("--env-file=".length);
+		} else if (options[i] === "--no-redact") {
+			redact = false;
+		} else if (options[i] === "--watch") {
+			watch = true;
+		} else {
+			console.error(`Error: Unknown option for run command: ${options[i]}`);
+			process.exit(1);
+		}
+	}
+
+	if (!childCommand) {
+		console.error("Error: Missing arguments for run command");
+		console.log("Usage: taemno-os run [--env-file file] [--no-redact] [--watch] -- <cmd> [args...]");
+		process.exit(1);
+	}
+
+	let env = process.env;
+
+	if (envFile) {
+		try {
+			env = { ...process.env, ...await readEnvFile(envFile) };
+		} catch (error) {
+			console.error(`Error: Failed to read env file: ${error.message}`);
+			process.exit(1);
+		}
+	}
+
+	let resolvedEnv;
+	let watcher = null;
+	try {
+		if (watch) {
+			watcher = await taemnoOS.watch(envFile ?? env, { base: process.env });
+			resolvedEnv = watcher.env;
+		} else {
+			resolvedEnv = await taemnoOS.resolveEnvironment(env);
+		}
+	} catch (error) {
+		printResolveError(error);
+		process.exit(1);
+	}
+
+	let child;
+	let restarting = false;
+	let killTimer;
+
+	const handlers = {};
+	for (const signal of FORWARDED_SIGNALS) {
+		handlers[signal] = () => {
+			if (!(process.stdin.isTTY && TTY_SIGNALS.includes(signal))) {
+				child.kill(signal);
+			}
+		};
+		try {
+			process.on(signal, handlers[signal]);
+		} catch (error) {
+			// Signal is not supported on this platform
+			delete handlers[signal];
+		}
+	}
+
+	const start = () => {
+		// Resolved values only ever live in the child's environment
+		child = spawn(childCommand, childArgs, { env: resolvedEnv, stdio: redact ? ["inherit", "pipe", "pipe"] : "inherit" });
+
+		// Secrets the child prints are masked before they reach a log
+		const pipes = !redact ? [] : [[child.stdout, process.stdout], [child.stderr, process.stderr]];
+		const outputs = pipes.map(([from, to]) => new Promise((resolve) => {
+			from.pipe(taemnoOS.createRedactor()).on("end", resolve).pipe(to, { end: false });
+		}));
+
+		child.on("error", (error) => {
+			console.error(error.code === "ENOENT"
+				? `Error: Command not found: ${childCommand}`
+				: `Error: Failed to start command: ${error.message}`);
+			process.exit(127);
+		});
+
+		child.on("exit", async (code, signal) => {
+			clearTimeout(killTimer);
+			let drainTimer;
+			await Promise.race([
+				Promise.all(outputs),
+				new Promise((resolve) => drainTimer = setTimeout(resolve, OUTPUT_DRAIN_TIMEOUT))
+			]);
+			clearTimeout(drainTimer);
+			for (const [from] of pipes) {
+				from.destroy();
+			}
+			if (restarting) {
+				restarting = false;
+				resolvedEnv = watcher.env;
+				start();
+				return;
+			}
+
+			for (const [name, handler] of Object.entries(handlers)) {
+				process.removeListener(name, handler);
+			}
+			if (watcher) {
+				watcher.close();
+			}
+			if (signal) {
+				// Terminate the same way the child did
+				process.kill(process.pid, signal);
+			} else {
+				process.exit(code);
+			}
+		});
+	};
+
+	if (watcher) {
+		watcher.on("change", (keys) => {
+			console.error(`${keys.join(", ")} changed, restarting ${childCommand}`);
+			// A restart under way picks up the latest values when the child is gone
+			if (!restarting) {
+				restarting = true;
+				child.kill("SIGTERM");
+				killTimer = setTimeout(() => child.kill("SIGKILL"), RESTART_TIMEOUT);
+			}
+		});
+		watcher.on("error", (error) => {
+			console.error(`Warning: Keeping the current environment: ${error.message}`);
+		});
+	}
+
+	start();
+	await new Promise(() => {});
+}
+
 // Process commands
 (async () => {
 	try {
+		if (profile !== undefined || confirmProduction) {
+			taemnoOS.useProfile(profile ?? process.env.TAEMNO_PROFILE, confirmProduction ? { confirmProduction } : {});
+		}
+
 		switch (command) {
 			case "set":
 				await handleSet(args.slice(1));
@@ -213,12 +1377,51 @@ async function handleVerify(args) {
 			case "exists":
 				await handleExists(args.slice(1));
 				break;
+			case "list":
+				await handleList(args.slice(1));
+				break;
+			case "generate":
+				await handleGenerate(args.slice(1));
+				break;
+			case "rotate":
+				await handleRotate(args.slice(1));
+				break;
 			case "resolve":
 				await handleResolve(args.slice(1));
 				break;
+			case "render":
+				await handleRender(args.slice(1));
+				break;
 			case "verify":
 				await handleVerify(args.slice(1));
 				break;
+			case "run":
+				await handleRun(args.slice(1));
+				break;
+			case "import":
+				await handleImport(args.slice(1));
+				break;
+			case "scan":
+				await handleScan(args.slice(1));
+				break;
+			case "audit":
+				await handleAudit(args.slice(1));
+				break;
+			case "identity":
+				await handleIdentity(args.slice(1));
+				break;
+			case "grant":
+				await handleGrant(args.slice(1));
+				break;
+			case "revoke":
+				await handleRevoke(args.slice(1));
+				break;
+			case "recipients":
+				await handleRecipients(args.slice(1));
+				break;
+			case "agent":
+				await handleAgent(args.slice(1));
+				break;
 			case "help":
 			case "--help":
 			case "-h":
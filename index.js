@@ -0,0 +1,4 @@
+/**
+ * @taemno/env package entry point
+ */
+module.exports = require("./src/index.js");
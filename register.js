@@ -0,0 +1,56 @@
+/**
+ * Resolve secret references in process.env before the application starts
+ *
+ *   node -r @taemno/env/register app.js
+ *   node --import @taemno/env/register app.js
+ *
+ * Set TAEMNO_ENV_FILE to also load an env file; its variables take
+ * precedence over the inherited environment, as with `taemno-env run`.
+ * Providers are asynchronous, so resolution runs in a worker thread while
+ * the main thread blocks on Atomics.wait until the result is posted.
+ */
+const path = require("path");
+const { Worker, MessageChannel, receiveMessageOnPort, isMainThread } = require("worker_threads");
+
+const DEFAULT_TIMEOUT = 60000;
+
+/**
+ * Resolve process.env synchronously
+ * @returns {Object} - Variables to apply, or an error message
+ */
+function resolveSync() {
+	const timeout = Number(process.env.TAEMNO_REGISTER_TIMEOUT) || DEFAULT_TIMEOUT;
+	const signal = new Int32Array(new SharedArrayBuffer(4));
+	const { port1, port2 } = new MessageChannel();
+
+	const worker = new Worker(path.join(__dirname, "src", "register-worker.js"), {
+		workerData: { port: port2, signal, env: { ...process.env }, envFile: process.env.TAEMNO_ENV_FILE },
+		transferList: [port2],
+		// Without this the worker would preload this module again
+		execArgv: [],
+		stdout: false,
+		stderr: false
+	});
+
+	try {
+		if (Atomics.wait(signal, 0, 0, timeout) === "timed-out") {
+			return { error: `Timed out after ${timeout}ms resolving secrets, a keychain prompt may be waiting` };
+		}
+		const received = receiveMessageOnPort(port1);
+		return received ? received.message : { error: "Secret resolution worker exited without a result" };
+	} finally {
+		port1.close();
+		worker.terminate();
+		worker.unref();
+	}
+}
+
+// Preloads also run in worker threads the application starts
+if (isMainThread) {
+	const result = resolveSync();
+	if (result.error) {
+		process.stderr.write(`taemno-env: ${result.error}\n`);
+		process.exit(1);
+	}
+	Object.assign(process.env, result.env);
+}
@@ -0,0 +1,266 @@
+/**
+ * Agent holding fetched secrets in memory, in the style of ssh-agent
+ *
+ * Reading a keychain item spawns a helper and may prompt for access, once
+ * per command. The agent listens on a Unix socket only its user can reach,
+ * reads each secret once and answers later requests from memory until it has
+ * been idle for a while or is locked. Clients talk newline-delimited JSON.
+ */
+const fs = require("fs").promises;
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { ErrorCodes, TaemnoError, classifyError } = require("./errors.js");
+
+const DEFAULT_AGENT_SOCKET = path.join(os.homedir(), ".taemno", "agent.sock");
+const DEFAULT_IDLE_TIMEOUT = 15 * 60 * 1000;
+
+// Schemes whose secrets are worth holding: each read costs a keychain call or a key derivation
+const AGENT_SCHEMES = ["os", "file"];
+
+/**
+ * Connection to an agent socket
+ */
+class AgentClient {
+	/**
+	 * @param {string} [socketPath] - Agent socket (defaults to TAEMNO_AGENT_SOCK, then ~/.taemno/agent.sock)
+	 */
+	constructor(socketPath = process.env.TAEMNO_AGENT_SOCK || DEFAULT_AGENT_SOCKET) {
+		this.socketPath = socketPath;
+	}
+
+	/**
+	 * Send one request. A missing socket, a socket owned by another user or
+	 * an agent that is gone count as no agent.
+	 * @param {Object} message - Request with op and its arguments
+	 * @param {number} [timeout] - Milliseconds to wait for the answer (default 120000,
+	 * long enough for a keychain prompt)
+	 * @returns {Promise<Object|null>} - Response, null if no agent is running
+	 */
+	async call(message, timeout = 120000) {
+		try {
+			const stats = await fs.lstat(this.socketPath);
+			if (!stats.isSocket() || (typeof process.getuid === "function" && stats.uid !== process.getuid())) {
+				return null;
+			}
+		} catch (error) {
+			return null;
+		}
+
+		return await new Promise((resolve, reject) => {
+			const socket = net.createConnection(this.socketPath);
+			let buffer = "";
+			let connected = false;
+
+			socket.setEncoding("utf8");
+			socket.setTimeout(timeout, () => {
+				socket.destroy();
+				reject(new TaemnoError(`Agent did not answer within ${timeout}ms: ${this.socketPath}`, ErrorCodes.PROVIDER_UNAVAILABLE));
+			});
+			socket.on("connect", () => {
+				connected = true;
+				socket.write(`${JSON.stringify(message)}\n`);
+			});
+			socket.on("data", (chunk) => {
+				buffer += chunk;
+				const end = buffer.indexOf("\n");
+				if (end !== -1) {
+					socket.end();
+					try {
+						resolve(JSON.parse(buffer.slice(0, end)));
+					} catch (error) {
+						reject(new TaemnoError("Invalid response from agent", ErrorCodes.PROVIDER_ERROR, error));
+					}
+				}
+			});
+			socket.on("error", (error) => {
+				// A stale socket file is left behind by an agent that was killed
+				if (!connected && ["ECONNREFUSED", "ENOENT"].includes(error.code)) {
+					resolve(null);
+				} else {
+					reject(new TaemnoError(`Agent connection failed: ${error.message}`, ErrorCodes.PROVIDER_UNAVAILABLE, error));
+				}
+			});
+			socket.on("close", () => {
+				if (connected && !buffer.includes("\n")) {
+					reject(new TaemnoError("Agent closed the connection", ErrorCodes.PROVIDER_UNAVAILABLE));
+				}
+			});
+		});
+	}
+
+	/**
+	 * Fetch a secret through the agent
+	 * @param {Object} request - scheme, service, account, the active profile or null and
+	 * the backend the client would read from
+	 * @returns {Promise<string|undefined>} - Secret, undefined if no agent is running or it
+	 * reads another backend
+	 */
+	async get(request) {
+		const response = await this.call({ op: "get", ...request });
+		if (response === null || response.skipped) {
+			return undefined;
+		}
+		if (!response.ok) {
+			throw new TaemnoError(response.error.message, response.error.code);
+		}
+		return response.value;
+	}
+
+	/**
+	 * Make the agent drop one secret after it was changed
+	 * @param {Object} request - scheme, service, account and the active profile or null
+	 */
+	async forget(request) {
+		await this.call({ op: "forget", ...request });
+	}
+}
+
+/**
+ * Whether two backend descriptions name the same store
+ * @param {Object} a - Backend from TaemnoOS#backend
+ * @param {Object} [b] - Backend sent by a client
+ * @returns {boolean} - True if both are the same
+ */
+function sameBackend(a, b) {
+	return Boolean(b) && a.kind === b.kind && a.location === b.location;
+}
+
+/**
+ * Profile definition as written in a profiles file
+ * @param {Object} profile - Profile sent by a client
+ * @returns {Object} - Definition without the name
+ */
+function profileDefinition(profile) {
+	const { name, ...definition } = profile;
+	return definition;
+}
+
+/**
+ * Start an agent
+ * @param {Object} options - Agent options
+ * @param {Function} options.createInstance - Creates a TaemnoOS instance from constructor options
+ * @param {string} [options.socketPath] - Socket to listen on (defaults to TAEMNO_AGENT_SOCK, then ~/.taemno/agent.sock)
+ * @param {number} [options.idleTimeout] - Milliseconds without requests after which
+ * held secrets are dropped (default 15 minutes)
+ * @returns {Promise<net.Server>} - Listening server, closed by a stop request
+ */
+async function startAgent(options) {
+	const { createInstance, socketPath = process.env.TAEMNO_AGENT_SOCK || DEFAULT_AGENT_SOCKET, idleTimeout = DEFAULT_IDLE_TIMEOUT } = options;
+	if (!Number.isInteger(idleTimeout) || idleTimeout <= 0) {
+		throw new TaemnoError("idleTimeout must be a positive integer", ErrorCodes.INVALID_VALUE);
+	}
+
+	const dir = path.dirname(socketPath);
+	await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+	const stats = await fs.stat(dir);
+	if (process.platform !== "win32" && ((stats.mode & 0o077) !== 0 || stats.uid !== process.getuid())) {
+		throw new TaemnoError(`Agent socket directory must be private to its owner: ${dir}`, ErrorCodes.ACCESS_DENIED);
+	}
+
+	if (await new AgentClient(socketPath).call({ op: "ping" }, 1000)) {
+		throw new TaemnoError(`An agent is already running on ${socketPath}`, ErrorCodes.PROVIDER_ERROR);
+	}
+	await fs.unlink(socketPath).catch((error) => {
+		if (error.code !== "ENOENT") throw error;
+	});
+
+	// One instance per profile, each holding its secrets in its cache
+	const instances = new Map();
+	const instanceFor = (profile) => {
+		const id = JSON.stringify(profile);
+		if (!instances.has(id)) {
+			// Clients check production confirmation before asking
+			const scope = profile ? { profile: profile.name, profiles: { [profile.name]: profileDefinition(profile) }, confirmProduction: true } : { profile: null };
+			instances.set(id, createInstance({ ...scope, cacheTtl: idleTimeout, audit: null, agent: false }));
+		}
+		return instances.get(id);
+	};
+
+	const lock = () => {
+		for (const instance of instances.values()) {
+			instance.clearCache();
+		}
+		instances.clear();
+	};
+
+	let idleTimer;
+	const touch = () => {
+		clearTimeout(idleTimer);
+		idleTimer = setTimeout(lock, idleTimeout);
+		idleTimer.unref();
+	};
+
+	const server = net.createServer((socket) => {
+		const lines = readline.createInterface({ input: socket, crlfDelay: Infinity });
+		lines.on("line", async (line) => {
+			let response;
+			try {
+				response = await handle(JSON.parse(line));
+			} catch (error) {
+				response = { ok: false, error: { message: error.message, code: classifyError(error) } };
+			}
+			socket.end(`${JSON.stringify(response)}\n`);
+		});
+		socket.on("error", () => {});
+	});
+
+	/**
+	 * Answer one request
+	 * @param {Object} message - Request
+	 * @returns {Promise<Object>} - Response
+	 */
+	async function handle(message) {
+		const { op, scheme, service, account, profile = null, backend } = message;
+		switch (op) {
+			case "ping":
+				return { ok: true, pid: process.pid };
+			case "get":
+				if (!AGENT_SCHEMES.includes(scheme)) {
+					throw new TaemnoError(`The agent does not serve ${scheme}://`, ErrorCodes.PROVIDER_UNAVAILABLE);
+				}
+				// A client configured for another vault or keychain reads it itself
+				if (!sameBackend(instanceFor(profile).backend(scheme), backend)) {
+					return { ok: true, skipped: true };
+				}
+				touch();
+				return { ok: true, value: await instanceFor(profile).fetchSecret(scheme, service, account) };
+			case "forget":
+				instanceFor(profile).clearCache(service, account, scheme);
+				return { ok: true };
+			case "lock":
+				lock();
+				return { ok: true };
+			case "stop":
+				lock();
+				clearTimeout(idleTimer);
+				server.close();
+				return { ok: true };
+			default:
+				throw new TaemnoError(`Unknown agent request: ${op}`, ErrorCodes.INVALID_VALUE);
+		}
+	}
+
+	server.on("close", () => {
+		fs.unlink(socketPath).catch(() => {});
+	});
+
+	await new Promise((resolve, reject) => {
+		server.once("error", reject);
+		server.listen(socketPath, () => {
+			server.removeListener("error", reject);
+			resolve();
+		});
+	});
+	await fs.chmod(socketPath, 0o600);
+
+	return server;
+}
+
+module.exports = {
+	AgentClient,
+	startAgent,
+	AGENT_SCHEMES,
+	DEFAULT_AGENT_SOCKET
+};
@@ -0,0 +1,222 @@
+/**
+ * Append-only, hash-chained audit log of secret access
+ *
+ * Each line is a JSON entry whose hash covers its content and the hash of
+ * the entry before it, so editing, removing or reordering entries breaks the
+ * chain. Hashes are HMACs keyed with a random key kept in the keychain, so
+ * someone who can write the log but not read the keychain cannot recompute
+ * the chain after tampering with it. The sequence number and hash of the
+ * last entry are also kept in a <file>.head sidecar, which is how truncation
+ * of the tail is detected. Truncating both files back to an earlier entry is
+ * not detected. Secret values are never written.
+ */
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { ErrorCodes, TaemnoError, classifyError } = require("./errors.js");
+const { acquireLock, writeFileAtomic } = require("./utility.js");
+const registry = require("./providers/index.js");
+
+const GENESIS_HASH = "0".repeat(64);
+
+// Keychain item holding the chain key
+const KEY_SERVICE = "taemno-audit";
+const KEY_ACCOUNT = "chain-key";
+
+/**
+ * Hash an entry without its own hash field
+ * @param {Object} body - Entry fields, including prev
+ * @param {Buffer} key - Chain key
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function hashEntry(body, key) {
+	return crypto.createHmac("sha256", key).update(JSON.stringify(body)).digest("hex");
+}
+
+/**
+ * Audit log stored in a JSONL file
+ */
+class AuditLog {
+	/**
+	 * @param {string} file - Path of the log file
+	 * @param {Object} [options] - Log options
+	 * @param {Object} [options.keychain] - Provider holding the chain key (defaults to os://)
+	 */
+	constructor(file, options = {}) {
+		this.file = path.resolve(file);
+		this.headPath = `${this.file}.head`;
+		this.lockPath = `${this.file}.lock`;
+		this.keychain = options.keychain ?? null;
+		this.chainKey = null;
+		this.tail = Promise.resolve();
+	}
+
+	/**
+	 * Read the chain key from the keychain
+	 * @param {boolean} create - Create the key if there is none
+	 * @returns {Promise<Buffer|null>} - Key, null if there is none and create is false
+	 */
+	async key(create) {
+		if (this.chainKey) {
+			return this.chainKey;
+		}
+		const keychain = this.keychain ?? registry.getProvider("os");
+
+		let encoded;
+		try {
+			encoded = await keychain.get(KEY_SERVICE, KEY_ACCOUNT);
+		} catch (error) {
+			if (classifyError(error) !== ErrorCodes.NOT_FOUND) {
+				throw new TaemnoError(`Failed to read the audit chain key: ${error.message}`, classifyError(error), error);
+			}
+			if (!create) {
+				return null;
+			}
+			encoded = crypto.randomBytes(32).toString("base64");
+			await keychain.set(KEY_SERVICE, KEY_ACCOUNT, encoded);
+		}
+		this.chainKey = Buffer.from(encoded, "base64");
+		return this.chainKey;
+	}
+
+	/**
+	 * Append an entry. Entries from this process are written in call order,
+	 * other processes are serialized by a lock file.
+	 * @param {Object} event - What happened
+	 * @param {string} event.operation - get, set, delete or resolve
+	 * @param {string} event.provider - Provider scheme
+	 * @param {string} [event.profile] - Active profile, if any
+	 * @param {string} event.service - Service identifier
+	 * @param {string} event.account - Account identifier
+	 * @param {string} event.outcome - "ok" or one of ErrorCodes
+	 * @returns {Promise<Object>} - Written entry
+	 */
+	record(event) {
+		const task = this.tail.then(() => this.append(event));
+		this.tail = task.catch(() => {});
+		return task;
+	}
+
+	async append({ operation, provider, profile, service, account, outcome }) {
+		await fs.mkdir(path.dirname(this.file), { recursive: true, mode: 0o700 });
+
+		let release;
+		try {
+			release = await acquireLock(this.lockPath);
+		} catch (error) {
+			throw new TaemnoError(`Failed to lock audit log: ${this.lockPath}`, ErrorCodes.PROVIDER_ERROR, error);
+		}
+
+		try {
+			const key = await this.key(true);
+			const head = await this.readHead() ?? { seq: 0, hash: GENESIS_HASH };
+			const body = {
+				seq: head.seq + 1,
+				time: new Date().toISOString(),
+				operation,
+				provider,
+				profile,
+				service,
+				account,
+				outcome,
+				pid: process.pid,
+				ppid: process.ppid,
+				// argv past the script may hold secret values, so only the program is recorded
+				command: process.argv.slice(0, 2).join(" "),
+				cwd: process.cwd(),
+				prev: head.hash
+			};
+			const entry = { ...body, hash: hashEntry(body, key) };
+
+			await fs.appendFile(this.file, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+			await writeFileAtomic(this.headPath, `${JSON.stringify({ seq: entry.seq, hash: entry.hash })}\n`);
+			return entry;
+		} catch (error) {
+			if (error instanceof TaemnoError) throw error;
+			throw new TaemnoError(`Failed to write audit log: ${this.file}`, ErrorCodes.PROVIDER_ERROR, error);
+		} finally {
+			await release();
+		}
+	}
+
+	/**
+	 * Read the head sidecar
+	 * @returns {Promise<Object|null>} - seq and hash of the last entry, null if there is none
+	 */
+	async readHead() {
+		try {
+			return JSON.parse(await fs.readFile(this.headPath, "utf8"));
+		} catch (error) {
+			if (error.code === "ENOENT") return null;
+			throw error;
+		}
+	}
+
+	/**
+	 * Check the whole chain against the head sidecar
+	 * @returns {Promise<Object>} - valid, number of entries, and for invalid logs
+	 * the reason and the 1-based line where verification stopped
+	 */
+	async verify() {
+		let content;
+		try {
+			content = await fs.readFile(this.file, "utf8");
+		} catch (error) {
+			if (error.code !== "ENOENT") throw error;
+			content = "";
+		}
+
+		const lines = content.split("\n");
+		const incomplete = lines.pop() !== "";
+		const fail = (line, reason) => ({ valid: false, entries: line - 1, line, reason });
+
+		const key = await this.key(false);
+		if (!key && lines.length > 0) {
+			return fail(1, "the audit chain key is missing from the keychain");
+		}
+
+		let previous = { seq: 0, hash: GENESIS_HASH };
+		for (let i = 0; i < lines.length; i++) {
+			let entry;
+			try {
+				entry = JSON.parse(lines[i]);
+			} catch (error) {
+				return fail(i + 1, "entry is not valid JSON");
+			}
+
+			const { hash, ...body } = entry ?? {};
+			if (body.seq !== previous.seq + 1) {
+				return fail(i + 1, `expected entry ${previous.seq + 1}, found ${body.seq}`);
+			}
+			if (body.prev !== previous.hash) {
+				return fail(i + 1, "entry does not follow the previous one");
+			}
+			if (hash !== hashEntry(body, key)) {
+				return fail(i + 1, "entry was modified");
+			}
+			previous = { seq: body.seq, hash };
+		}
+
+		if (incomplete) {
+			return fail(lines.length + 1, "last entry is incomplete");
+		}
+
+		const head = await this.readHead().catch(() => undefined);
+		if (head === undefined) {
+			return fail(lines.length + 1, "head file is unreadable");
+		}
+		if (head === null ? previous.seq !== 0 : head.seq !== previous.seq || head.hash !== previous.hash) {
+			const reason = head && head.seq > previous.seq
+				? `log was truncated, head expects ${head.seq} entries`
+				: "log does not match its head file";
+			return fail(lines.length + 1, reason);
+		}
+
+		return { valid: true, entries: previous.seq };
+	}
+}
+
+module.exports = {
+	AuditLog,
+	GENESIS_HASH
+};
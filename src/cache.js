@@ -0,0 +1,57 @@
+/**
+ * In-memory secret cache with per-entry expiry
+ */
+class SecretCache {
+	/**
+	 * @param {number} ttl - Time to live in milliseconds, 0 disables caching
+	 */
+	constructor(ttl = 0) {
+		this.ttl = ttl;
+		this.entries = new Map();
+	}
+
+	/**
+	 * Get a cached value
+	 * @param {string} key - Cache key
+	 * @returns {string|undefined} - Value, or undefined if missing or expired
+	 */
+	get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) {
+			return undefined;
+		}
+		if (entry.expires <= Date.now()) {
+			this.entries.delete(key);
+			return undefined;
+		}
+		return entry.value;
+	}
+
+	/**
+	 * Cache a value for the configured TTL
+	 * @param {string} key - Cache key
+	 * @param {string} value - Value to cache
+	 */
+	set(key, value) {
+		if (this.ttl > 0) {
+			this.entries.set(key, { value, expires: Date.now() + this.ttl });
+		}
+	}
+
+	/**
+	 * Remove a cached value
+	 * @param {string} key - Cache key
+	 */
+	delete(key) {
+		this.entries.delete(key);
+	}
+
+	/**
+	 * Remove all cached values
+	 */
+	clear() {
+		this.entries.clear();
+	}
+}
+
+module.exports = SecretCache;
@@ -0,0 +1,228 @@
+/**
+ * Parser for .env files
+ */
+
+const KEY_PATTERN = /[A-Za-z_][A-Za-z0-9_.-]*/y;
+const INTERPOLATION_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_.-]*)(?::-([^}]*))?\}/y;
+const DOUBLE_QUOTE_ESCAPES = { n: "\n", r: "\r", t: "\t", "\\": "\\", "\"": "\"", "'": "'", "$": "$" };
+const QUOTES = ["\"", "'", "`"];
+
+/**
+ * Syntax error in an env file, pointing at the offending position
+ */
+class EnvSyntaxError extends SyntaxError {
+	constructor(message, line, column, filename) {
+		super(`${message} at ${filename ? `${filename}:` : "line "}${line}:${column}`);
+		this.name = "EnvSyntaxError";
+		this.line = line;
+		this.column = column;
+		this.filename = filename;
+	}
+}
+
+/**
+ * Map string offsets to 1-based line and column numbers
+ * @param {string} content - Source text
+ * @returns {Function} - Converts an offset to { line, column }
+ */
+function createLocator(content) {
+	const lineStarts = [0];
+	for (let i = 0; i < content.length; i++) {
+		if (content[i] === "\n") lineStarts.push(i + 1);
+	}
+
+	return (offset) => {
+		let low = 0;
+		let high = lineStarts.length - 1;
+		while (low < high) {
+			const middle = (low + high + 1) >> 1;
+			if (lineStarts[middle] <= offset) low = middle;
+			else high = middle - 1;
+		}
+		return { line: low + 1, column: offset - lineStarts[low] + 1 };
+	};
+}
+
+/**
+ * Process escapes and expand ${VAR} and ${VAR:-default} references. A
+ * backslash before the dollar sign keeps it literal.
+ * @param {string} text - Raw value text without quotes
+ * @param {Function} lookup - Returns the value of a variable or undefined
+ * @param {boolean} escapes - Process double-quote escape sequences
+ * @param {boolean} expand - Expand variable references
+ * @returns {string} - Final value
+ */
+function unescape(text, lookup, escapes, expand) {
+	let result = "";
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i];
+		const next = text[i + 1];
+
+		if (char === "\\" && next !== undefined && (escapes ? Object.hasOwn(DOUBLE_QUOTE_ESCAPES, next) : next === "$")) {
+			result += escapes ? DOUBLE_QUOTE_ESCAPES[next] : next;
+			i++;
+			continue;
+		}
+
+		if (char === "$" && expand) {
+			INTERPOLATION_PATTERN.lastIndex = i;
+			const match = INTERPOLATION_PATTERN.exec(text);
+			if (match) {
+				const [reference, name, fallback] = match;
+				const value = lookup(name);
+				result += value === undefined || value === "" ? fallback ?? "" : value;
+				i += reference.length - 1;
+				continue;
+			}
+		}
+
+		result += char;
+	}
+	return result;
+}
+
+/**
+ * Parse env file content into entries with their source positions
+ * @param {string} content - Env file content
+ * @param {Object} [options] - Parser options
+ * @param {Object} [options.env] - Variables available to interpolation (defaults to process.env)
+ * @param {Object} [options.override] - Variables interpolated in place of any assignment to them
+ * @param {boolean} [options.interpolate] - Expand ${VAR} references (default true)
+ * @param {string} [options.filename] - File name used in error messages
+ * @returns {Array<Object>} - Entries: key, value, raw, quote, exported, line, column, start, valueStart, valueEnd
+ */
+function parseEntries(content, options = {}) {
+	const { env = process.env, override = {}, filename } = options;
+	const expand = options.interpolate !== false;
+	const locate = createLocator(content);
+	const entries = [];
+	const parsed = new Map();
+	let pos = 0;
+
+	const fail = (message, offset) => {
+		const { line, column } = locate(offset);
+		throw new EnvSyntaxError(message, line, column, filename);
+	};
+	const skipBlanks = () => {
+		while (content[pos] === " " || content[pos] === "\t") pos++;
+	};
+	const atLineEnd = () => pos >= content.length || content[pos] === "\n" || content.startsWith("\r\n", pos);
+	const skipComment = () => {
+		while (pos < content.length && content[pos] !== "\n") pos++;
+	};
+	const lookup = (name) => {
+		if (Object.hasOwn(override, name)) return override[name];
+		return parsed.has(name) ? parsed.get(name) : env[name];
+	};
+
+	while (pos < content.length) {
+		// Blank lines and indentation
+		if (/\s/.test(content[pos])) {
+			pos++;
+			continue;
+		}
+		if (content[pos] === "#") {
+			skipComment();
+			continue;
+		}
+
+		const start = pos;
+		let exported = false;
+		if (/^export[ \t]/.test(content.slice(pos, pos + 7))) {
+			exported = true;
+			pos += 7;
+			skipBlanks();
+		}
+
+		KEY_PATTERN.lastIndex = pos;
+		const keyMatch = KEY_PATTERN.exec(content);
+		if (!keyMatch) {
+			fail("Expected variable name", pos);
+		}
+		const key = keyMatch[0];
+		const keyStart = pos;
+		pos += key.length;
+
+		skipBlanks();
+		if (content[pos] !== "=") {
+			fail(`Expected "=" after ${key}`, pos);
+		}
+		pos++;
+		skipBlanks();
+
+		const valueStart = pos;
+		const quote = QUOTES.includes(content[pos]) ? content[pos] : null;
+		let raw;
+		let value;
+
+		if (quote) {
+			pos++;
+			while (pos < content.length && content[pos] !== quote) {
+				pos += content[pos] === "\\" && quote === "\"" ? 2 : 1;
+			}
+			if (pos >= content.length) {
+				fail(`Unterminated ${quote} quoted value for ${key}`, valueStart);
+			}
+			pos++;
+			raw = content.slice(valueStart, pos);
+
+			const text = raw.slice(1, -1);
+			value = quote === "\"" ? unescape(text, lookup, true, expand) : text;
+
+			skipBlanks();
+			if (content[pos] === "#") {
+				skipComment();
+			} else if (!atLineEnd()) {
+				fail(`Unexpected character after quoted value for ${key}`, pos);
+			}
+		} else {
+			let end = pos;
+			while (end < content.length && content[end] !== "\n") {
+				// A comment starts at a # preceded by whitespace
+				if (content[end] === "#" && (end === valueStart || /[ \t]/.test(content[end - 1]))) break;
+				end++;
+			}
+			raw = content.slice(valueStart, end).replace(/[ \t\r]+$/, "");
+			value = unescape(raw, lookup, false, expand);
+			pos = end;
+			skipComment();
+		}
+
+		const { line, column } = locate(keyStart);
+		entries.push({
+			key,
+			value,
+			raw,
+			quote,
+			exported,
+			line,
+			column,
+			start,
+			valueStart,
+			valueEnd: valueStart + raw.length
+		});
+		parsed.set(key, value);
+	}
+
+	return entries;
+}
+
+/**
+ * Parse env file content into an object. Later assignments win.
+ * @param {string} content - Env file content
+ * @param {Object} [options] - Parser options, see parseEntries
+ * @returns {Object} - Parsed environment variables
+ */
+function parse(content, options = {}) {
+	const result = {};
+	for (const { key, value } of parseEntries(content, options)) {
+		result[key] = value;
+	}
+	return result;
+}
+
+module.exports = {
+	parse,
+	parseEntries,
+	EnvSyntaxError
+};
@@ -0,0 +1,113 @@
+/**
+ * Error types shared across @taemno/os
+ */
+
+/**
+ * Why a secret could not be resolved
+ */
+const ErrorCodes = {
+	NOT_FOUND: "NOT_FOUND",
+	ACCESS_DENIED: "ACCESS_DENIED",
+	PROVIDER_UNAVAILABLE: "PROVIDER_UNAVAILABLE",
+	MALFORMED_REFERENCE: "MALFORMED_REFERENCE",
+	INVALID_VALUE: "INVALID_VALUE",
+	PROVIDER_ERROR: "PROVIDER_ERROR"
+};
+
+const CODE_DESCRIPTIONS = {
+	NOT_FOUND: "not found",
+	ACCESS_DENIED: "access denied",
+	PROVIDER_UNAVAILABLE: "provider unavailable",
+	MALFORMED_REFERENCE: "malformed reference",
+	INVALID_VALUE: "invalid value",
+	PROVIDER_ERROR: "provider error"
+};
+
+/**
+ * Base error carrying one of ErrorCodes
+ */
+class TaemnoError extends Error {
+	constructor(message, code = ErrorCodes.PROVIDER_ERROR, originalError) {
+		super(message);
+		this.name = "TaemnoError";
+		this.code = code;
+		this.originalError = originalError;
+	}
+}
+
+/**
+ * Raised for references that do not follow the grammar
+ */
+class MalformedReferenceError extends TaemnoError {
+	constructor(message, reference) {
+		super(`${message}: ${reference}`, ErrorCodes.MALFORMED_REFERENCE);
+		this.name = "MalformedReferenceError";
+		this.reference = reference;
+	}
+}
+
+/**
+ * Determine the ErrorCodes value for any error. Errors from third-party
+ * providers without a known code are classified by their message.
+ * @param {Error} error - Error to classify
+ * @returns {string} - One of ErrorCodes
+ */
+function classifyError(error) {
+	if (error && Object.hasOwn(ErrorCodes, error.code)) {
+		return error.code;
+	}
+	if (/not found/i.test(error?.message)) {
+		return ErrorCodes.NOT_FOUND;
+	}
+	return ErrorCodes.PROVIDER_ERROR;
+}
+
+/**
+ * Human readable description of an error code
+ * @param {string} code - One of ErrorCodes
+ * @returns {string} - Description
+ */
+function describeCode(code) {
+	return CODE_DESCRIPTIONS[code] || code;
+}
+
+/**
+ * Every reference that failed during one resolveEnvironment call
+ */
+class ResolutionError extends AggregateError {
+	/**
+	 * @param {Array<Object>} failures - Failures with key, reference, provider, service, account, code and cause
+	 */
+	constructor(failures) {
+		const message = failures.length === 1
+			? `Failed to resolve secret for ${failures[0].key}: ${failures[0].cause.message}`
+			: `Failed to resolve secrets for ${failures.length} references:\n${failures.map(({ key, cause }) => `  ${key}: ${cause.message}`).join("\n")}`;
+		super(failures.map(({ cause }) => cause), message);
+		this.name = "ResolutionError";
+		this.failures = failures;
+	}
+}
+
+/**
+ * Every schema violation found in one environment
+ */
+class SchemaError extends TaemnoError {
+	/**
+	 * @param {Array<Object>} violations - Violations with key, rule and message
+	 */
+	constructor(violations) {
+		super(`Invalid environment:\n${violations.map(({ key, message }) => `  ${key} ${message}`).join("\n")}`, ErrorCodes.INVALID_VALUE);
+		this.name = "SchemaError";
+		this.violations = violations;
+	}
+}
+
+module.exports = {
+	ErrorCodes,
+	TaemnoError,
+	MalformedReferenceError,
+	ResolutionError,
+	SchemaError,
+	classifyError,
+	describeCode
+};
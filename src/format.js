@@ -0,0 +1,111 @@
+/**
+ * Serialize resolved environments for other tools
+ */
+const crypto = require("crypto");
+const { ErrorCodes, TaemnoError } = require("./errors.js");
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const YAML_RESERVED_PATTERN = /^(?:y|yes|n|no|true|false|on|off|null|~)$/i;
+
+/**
+ * Reject names a shell cannot assign
+ * @param {string} key - Variable name
+ * @param {string} format - Format name, for the error message
+ */
+function assertIdentifier(key, format) {
+	if (!IDENTIFIER_PATTERN.test(key)) {
+		throw new TaemnoError(`${key} is not a valid variable name for ${format} output`, ErrorCodes.INVALID_VALUE);
+	}
+}
+
+/**
+ * Double-quote a value for a dotenv file, only when needed
+ * @param {string} value - Value to quote
+ * @returns {string} - Value as written in the file
+ */
+function dotenvValue(value) {
+	if (/^[A-Za-z0-9_./:@%+,=-]*$/.test(value)) {
+		return value;
+	}
+	const escaped = value
+		.replace(/\\/g, "\\\\")
+		.replace(/"/g, "\\\"")
+		.replace(/\$/g, "\\$")
+		.replace(/\n/g, "\\n")
+		.replace(/\r/g, "\\r");
+	return `"${escaped}"`;
+}
+
+const FORMATTERS = {
+	// Readable back by parseEnv and taemno-env run --env-file
+	dotenv: (key, value) => `${key}=${dotenvValue(value)}`,
+
+	shell: (key, value) => {
+		assertIdentifier(key, "shell");
+		return `export ${key}='${value.replace(/'/g, "'\\''")}'`;
+	},
+
+	fish: (key, value) => {
+		assertIdentifier(key, "fish");
+		return `set -gx ${key} '${value.replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+	},
+
+	// PowerShell also closes single-quoted strings at typographic quotes
+	powershell: (key, value) => {
+		const name = IDENTIFIER_PATTERN.test(key) ? `$env:${key}` : `\${env:${key.replace(/[{}`]/g, "`$&")}}`;
+		return `${name} = '${value.replace(/['\u2018\u2019\u201A\u201B]/g, "$&$&")}'`;
+	},
+
+	yaml: (key, value) => {
+		const name = IDENTIFIER_PATTERN.test(key) && !YAML_RESERVED_PATTERN.test(key) ? key : JSON.stringify(key);
+		return `${name}: ${JSON.stringify(value)}`;
+	},
+
+	// docker --env-file takes everything after = literally and has no multiline support
+	docker: (key, value) => {
+		if (/[\r\n]/.test(value)) {
+			throw new TaemnoError(`${key} contains a newline, which docker env files cannot represent`, ErrorCodes.INVALID_VALUE);
+		}
+		return `${key}=${value}`;
+	},
+
+	// systemd keeps newlines inside double quotes and unescapes \ " ` and $
+	systemd: (key, value) => {
+		assertIdentifier(key, "systemd");
+		return `${key}="${value.replace(/[\\"`$]/g, "\\$&")}"`;
+	},
+
+	// $GITHUB_ENV multiline syntax, with a delimiter that cannot occur in the value
+	github: (key, value) => {
+		let delimiter;
+		do {
+			delimiter = `ghadelimiter_${crypto.randomUUID()}`;
+		} while (value.includes(delimiter));
+		return `${key}<<${delimiter}\n${value}\n${delimiter}`;
+	}
+};
+
+const FORMATS = ["dotenv", "shell", "fish", "powershell", "json", "yaml", "docker", "systemd", "github"];
+
+/**
+ * Serialize an environment
+ * @param {Object} env - Variables to write
+ * @param {string} [format] - One of FORMATS (default "dotenv")
+ * @returns {string} - Output ending with a newline, or an empty string for an empty environment
+ */
+function formatEnv(env, format = "dotenv") {
+	if (!FORMATS.includes(format)) {
+		throw new TaemnoError(`Unknown format "${format}", expected one of ${FORMATS.join(", ")}`, ErrorCodes.INVALID_VALUE);
+	}
+	if (format === "json") {
+		return `${JSON.stringify(env, null, 2)}\n`;
+	}
+
+	const lines = Object.entries(env).map(([key, value]) => FORMATTERS[format](key, value));
+	return lines.length > 0 ? `${lines.join("\n")}\n` : "";
+}
+
+module.exports = {
+	formatEnv,
+	FORMATS
+};
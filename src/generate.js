@@ -0,0 +1,80 @@
+/**
+ * Random secret generation
+ */
+const crypto = require("crypto");
+const { ErrorCodes, TaemnoError } = require("./errors.js");
+
+const CHARSETS = {
+	alphanumeric: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789",
+	alpha: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
+	numeric: "0123456789",
+	symbols: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!#%&*+-.:=?@^_~"
+};
+
+const FORMATS = ["password", "hex", "base64url", "uuid"];
+const DEFAULT_LENGTH = 32;
+const MAX_LENGTH = 4096;
+
+/**
+ * Generate a random secret with the crypto module
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.format] - password (default), hex, base64url or uuid
+ * @param {number} [options.length] - Length in characters (default 32), not allowed for uuid
+ * @param {string} [options.charset] - For passwords: alphanumeric (default), alpha, numeric,
+ * symbols, or the literal characters to pick from
+ * @returns {string} - Generated secret
+ */
+function generateSecret(options = {}) {
+	const { format = "password", length = DEFAULT_LENGTH, charset = "alphanumeric" } = options;
+
+	if (!FORMATS.includes(format)) {
+		throw new TaemnoError(`Unknown format "${format}", expected one of ${FORMATS.join(", ")}`, ErrorCodes.INVALID_VALUE);
+	}
+	if (format === "uuid") {
+		if (options.length !== undefined) {
+			throw new TaemnoError("length cannot be used with the uuid format", ErrorCodes.INVALID_VALUE);
+		}
+		return crypto.randomUUID();
+	}
+	if (!Number.isInteger(length) || length < 1 || length > MAX_LENGTH) {
+		throw new TaemnoError(`length must be an integer between 1 and ${MAX_LENGTH}`, ErrorCodes.INVALID_VALUE);
+	}
+	if (options.charset !== undefined && format !== "password") {
+		throw new TaemnoError(`charset cannot be used with the ${format} format`, ErrorCodes.INVALID_VALUE);
+	}
+
+	switch (format) {
+		case "hex":
+			return crypto.randomBytes(Math.ceil(length / 2)).toString("hex").slice(0, length);
+		case "base64url":
+			return crypto.randomBytes(Math.ceil(length * 3 / 4)).toString("base64url").slice(0, length);
+	}
+
+	const alphabet = [...new Set(Object.hasOwn(CHARSETS, charset) ? CHARSETS[charset] : charset)];
+	if (alphabet.length < 2) {
+		throw new TaemnoError("charset must contain at least two distinct characters", ErrorCodes.INVALID_VALUE);
+	}
+
+	// randomInt rejects out-of-range samples, so every character is equally likely
+	let secret = "";
+	for (let i = 0; i < length; i++) {
+		secret += alphabet[crypto.randomInt(alphabet.length)];
+	}
+	return secret;
+}
+
+/**
+ * Account name holding an earlier value of a rotated secret
+ * @param {string} account - Account identifier
+ * @param {number} version - 1 for the previous value, 2 for the one before, ...
+ * @returns {string} - Versioned account name, e.g. "API_KEY@v1"
+ */
+function versionedAccount(account, version) {
+	return `${account}@v${version}`;
+}
+
+module.exports = {
+	generateSecret,
+	versionedAccount,
+	CHARSETS
+};
@@ -0,0 +1,77 @@
+/**
+ * Move plaintext values of an env file into a provider
+ */
+const { parseEntries } = require("./envfile.js");
+const { formatReference } = require("./reference.js");
+const { matchRule } = require("./scanner.js");
+const { ErrorCodes, TaemnoError } = require("./errors.js");
+
+/**
+ * Plan an import: which values to store and the rewritten file content.
+ * Comments, ordering and formatting outside the replaced values are kept.
+ * Empty values, existing references and values built from ${VAR} are skipped,
+ * and so are values the scanner does not flag as secrets when secretsOnly is set.
+ * @param {string} content - Env file content
+ * @param {Object} options - Import options
+ * @param {string} options.service - Service name secrets are stored under
+ * @param {string} [options.scheme] - Provider scheme for the references (default "os")
+ * @param {string} [options.envPrefix] - Secret reference prefix (default "$(taemno "), may end
+ * with the scheme, e.g. "$(taemno os://"
+ * @param {string} [options.envSuffix] - Secret reference suffix (default ")")
+ * @param {boolean} [options.secretsOnly] - Only import values that look like secrets (default false)
+ * @param {string} [options.filename] - File name used in syntax errors
+ * @returns {Object} - secrets ({ key, value, service, account, reference }), skipped ({ key, reason }) and content
+ */
+function planImport(content, options) {
+	const { service, scheme = "os", envPrefix = "$(taemno ", envSuffix = ")", secretsOnly = false, filename } = options;
+
+	// A prefix holding the scheme takes bodies without one
+	const prefixScheme = /([a-z][a-z0-9+.-]*):\/\/$/.exec(envPrefix)?.[1];
+	if (prefixScheme && prefixScheme !== scheme) {
+		throw new TaemnoError(`The reference prefix only allows ${prefixScheme}:// secrets, cannot import into ${scheme}://`, ErrorCodes.INVALID_VALUE);
+	}
+
+	const entries = parseEntries(content, { interpolate: false, filename });
+	const secrets = new Map();
+	const skipped = [];
+	const replacements = [];
+
+	for (const entry of entries) {
+		let reason;
+		if (entry.value === "") {
+			reason = "empty value";
+		} else if (entry.value.includes(envPrefix)) {
+			reason = "already a reference";
+		} else if (entry.quote !== "'" && /\$\{[^}]*\}/.test(entry.value)) {
+			reason = "uses variable interpolation";
+		} else if (secretsOnly && !matchRule(entry.key, entry.value)) {
+			reason = "does not look like a secret";
+		}
+
+		if (reason) {
+			skipped.push({ key: entry.key, reason });
+			continue;
+		}
+
+		const reference = formatReference({ scheme, service, account: entry.key });
+		// Later assignments win, as they do when the file is parsed
+		secrets.set(entry.key, { key: entry.key, value: entry.value, service, account: entry.key, reference });
+		const body = prefixScheme ? formatReference({ service, account: entry.key }) : reference;
+		replacements.push({ start: entry.valueStart, end: entry.valueEnd, text: `${envPrefix}${body}${envSuffix}` });
+	}
+
+	let rewritten = content;
+	for (const { start, end, text } of replacements.reverse()) {
+		rewritten = rewritten.slice(0, start) + text + rewritten.slice(end);
+	}
+
+	return {
+		secrets: [...secrets.values()],
+		skipped,
+		content: rewritten
+	};
+}
+
+module.exports = {
+	planImport
+};
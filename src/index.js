@@ -2,8 +2,33 @@
  * @taemno/os - Secure secrets management across operating systems
  * Manages secrets through native OS keychains/secure storage
  */
-const { resolveSecrets, storeSecret, retrieveSecret, secretExists, deleteSecret } = require("./utility.js");
-const provider = require("./providers/index.js");
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
+const { createReferencePattern, collectReferences, describeFailure, secretId, mapLimit, resolveSecrets, storeSecret, retrieveSecret, secretExists, deleteSecret, listSecrets } = require("./utility.js");
+const SecretCache = require("./cache.js");
+const { parse, EnvSyntaxError } = require("./envfile.js");
+const { parseReference, formatReference } = require("./reference.js");
+const { generateSecret, versionedAccount } = require("./generate.js");
+const { AuditLog } = require("./audit.js");
+const { readLayers } = require("./load.js");
+const { createSchema, loadSchema, validateEnv } = require("./schema.js");
+const { renderTemplate } = require("./render.js");
+const { findProfile, assertConfirmed, appliesTo, scopeProvider } = require("./profiles.js");
+const { AgentClient, AGENT_SCHEMES } = require("./agent.js");
+const { Redactor } = require("./redact.js");
+const { EnvWatcher } = require("./watch.js");
+const { ErrorCodes, TaemnoError, MalformedReferenceError, ResolutionError, SchemaError, classifyError, describeCode } = require("./errors.js");
+const registry = require("./providers/index.js");
+
+/**
+ * Accept a schema file path, rules or JSON-style definitions
+ * @param {string|Object} schema - Schema or path to a .env.schema or JSON file
+ * @returns {Promise<Object>} - Rules keyed by variable name
+ */
+async function toSchema(schema) {
+	return typeof schema === "string" ? await loadSchema(schema) : createSchema(schema);
+}
 
 /**
  * Main class for @taemno/os functionality
@@ -12,23 +37,402 @@ class TaemnoOS {
 	/**
 	 * Initialize the TaemnoOS instance
 	 * @param {Object} options - Configuration options
+	 * @param {Object} [options.provider] - Provider for the default scheme
+	 * @param {Object} [options.providers] - Providers keyed by scheme, used before the global registry
+	 * @param {string} [options.defaultScheme] - Scheme for references and methods without one (default "os")
+	 * @param {number} [options.concurrency] - Maximum provider calls in flight while resolving (default 8)
+	 * @param {number} [options.cacheTtl] - Milliseconds to cache resolved secrets, 0 disables (default 0)
+	 * @param {string|AuditLog} [options.audit] - Audit log file or instance recording every read,
+	 * write and delete (defaults to TAEMNO_AUDIT_LOG, off when unset)
+	 * @param {string} [options.profile] - Profile scoping every provider (defaults to TAEMNO_PROFILE)
+	 * @param {string|Object} [options.profiles] - Profiles file or definitions (defaults to
+	 * TAEMNO_PROFILES, then ~/.taemno/profiles.json)
+	 * @param {boolean} [options.confirmProduction] - Allow a production profile (defaults to
+	 * TAEMNO_CONFIRM_PRODUCTION naming the profile)
+	 * @param {string|boolean} [options.agent] - Agent socket to read os:// and file:// secrets
+	 * through while an agent is running, false to always read directly (defaults to
+	 * TAEMNO_AGENT_SOCK, then ~/.taemno/agent.sock)
+	 * @param {Object} [options.redact] - Redaction options: mask and minLength (see Redactor)
 	 */
 	constructor(options = {}) {
+		const { provider, providers = {}, audit = process.env.TAEMNO_AUDIT_LOG, profile = process.env.TAEMNO_PROFILE, profiles, confirmProduction, agent, redact, ...rest } = options;
 		this.options = {
-			envPrefix: "$(taemno os://",
+			envPrefix: "$(taemno ",
 			envSuffix: ")",
-			...options
+			defaultScheme: "os",
+			concurrency: 8,
+			cacheTtl: 0,
+			...rest
 		};
-		this.provider = provider;
+		this.providers = new Map();
+		this.cache = new SecretCache(this.options.cacheTtl);
+		this.pending = new Map();
+		// Outcome of the last fresh read of each secret, as a digest or error code
+		this.freshReads = new Map();
+		this.audit = typeof audit === "string" && audit ? new AuditLog(audit) : audit || null;
+		this.agent = agent === false ? null : new AgentClient(typeof agent === "string" ? agent : undefined);
+		// Every value read stays masked for the life of the instance, clearing the cache does not forget it
+		this.redactor = new Redactor(redact);
+		this.useProfile(profile, { profiles, confirmProduction });
+		for (const [scheme, impl] of Object.entries(providers)) {
+			this.registerProvider(scheme, impl);
+		}
+		if (provider) {
+			this.provider = provider;
+		}
+	}
+
+	/**
+	 * Provider for the default scheme
+	 * @type {Object}
+	 */
+	get provider() {
+		return this.getProvider(this.options.defaultScheme);
+	}
+
+	set provider(provider) {
+		this.registerProvider(this.options.defaultScheme, provider);
+	}
+
+	/**
+	 * Register a provider for this instance only
+	 * @param {string} scheme - Scheme without "://", e.g. "file"
+	 * @param {Object} provider - Object implementing set/get/exists/delete
+	 */
+	registerProvider(scheme, provider) {
+		registry.validateScheme(scheme);
+		registry.validateProvider(provider);
+		this.providers.set(scheme, provider);
+	}
+
+	/**
+	 * Switch to a profile, or back to unscoped providers
+	 * @param {string} [name] - Profile name, none to use service names as given
+	 * @param {Object} [options] - Profile options
+	 * @param {string|Object} [options.profiles] - Profiles file or definitions (defaults to
+	 * TAEMNO_PROFILES, then ~/.taemno/profiles.json)
+	 * @param {boolean} [options.confirmProduction] - Allow a production profile (defaults to
+	 * TAEMNO_CONFIRM_PRODUCTION naming the profile)
+	 */
+	useProfile(name, options = {}) {
+		const { profiles = process.env.TAEMNO_PROFILES, confirmProduction = Boolean(name) && process.env.TAEMNO_CONFIRM_PRODUCTION === name } = options;
+		this.profileName = name || null;
+		this.profileOptions = { profiles, confirmProduction };
+		this.activeProfile = undefined;
+		this.scopedProviders = new WeakMap();
+		this.clearCache();
+	}
+
+	/**
+	 * Active profile, read from the profiles file on first use
+	 * @type {Object|null}
+	 */
+	get profile() {
+		if (this.activeProfile === undefined) {
+			this.activeProfile = this.profileName ? findProfile(this.profileName, this.profileOptions.profiles) : null;
+		}
+		if (this.activeProfile) {
+			assertConfirmed(this.activeProfile, this.profileOptions.confirmProduction);
+		}
+		return this.activeProfile;
+	}
+
+	/**
+	 * Look up the provider for a scheme, falling back to the global registry.
+	 * With a profile, the provider is scoped to it.
+	 * @param {string} scheme - Scheme without "://"
+	 * @returns {Object} - Provider implementation
+	 */
+	getProvider(scheme) {
+		const provider = this.providers.get(scheme) ?? registry.getProvider(scheme);
+		const profile = this.profile;
+		if (!profile || !appliesTo(profile, scheme)) {
+			return provider;
+		}
+
+		if (!this.scopedProviders.has(provider)) {
+			this.scopedProviders.set(provider, scopeProvider(provider, profile));
+		}
+		return this.scopedProviders.get(provider);
+	}
+
+	/**
+	 * Describe a request the agent can serve for this scheme. The agent only
+	 * knows built-in providers, so registered ones are always read directly.
+	 * @param {string} scheme - Provider scheme
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @returns {Object|null} - Agent request, null if the agent cannot serve it
+	 */
+	agentRequest(scheme, service, account) {
+		if (!this.agent || !AGENT_SCHEMES.includes(scheme) || this.providers.has(scheme) || !registry.isBuiltin(scheme)) {
+			return null;
+		}
+		// Checks production confirmation before anything is sent
+		const profile = this.profile;
+		const scoped = profile && appliesTo(profile, scheme) ? profile : null;
+		const backend = this.backend(scheme);
+		// The agent resolves a vault path against its own directory, send it resolved
+		return { scheme, service, account, profile: scoped && scoped.keychain && backend.kind === "file" ? { ...scoped, keychain: backend.location } : scoped, backend };
+	}
+
+	/**
+	 * Store a scheme's secrets are read from, so an agent started with
+	 * another configuration is not asked for them
+	 * @param {string} scheme - Provider scheme
+	 * @returns {Object} - kind ("file" or the platform) and location (vault path or keychain, null for the default keychain)
+	 */
+	backend(scheme) {
+		const provider = this.providers.get(scheme) ?? registry.getProvider(scheme);
+		const profile = this.profile;
+		const keychain = profile && appliesTo(profile, scheme) ? profile.keychain : null;
+		if (typeof provider.path === "string") {
+			return { kind: "file", location: keychain ? path.resolve(keychain) : provider.path };
+		}
+		return { kind: os.platform(), location: keychain };
+	}
+
+	/**
+	 * Read a secret through the agent when one is running, else from the provider
+	 * @param {string} scheme - Provider scheme
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @param {boolean} [useAgent] - false to always read from the provider (default true)
+	 * @returns {Promise<string>} - Retrieved secret
+	 */
+	async readSecret(scheme, service, account, useAgent = true) {
+		const request = useAgent ? this.agentRequest(scheme, service, account) : null;
+		let secret = request ? await this.agent.get(request) : undefined;
+		if (secret === undefined) {
+			secret = await retrieveSecret(service, account, this.getProvider(scheme));
+		}
+		this.redactor.add(secret);
+		return secret;
+	}
+
+	/**
+	 * Tell a running agent to drop a secret that was changed
+	 * @param {string} scheme - Provider scheme
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 */
+	async forgetInAgent(scheme, service, account) {
+		const request = this.agentRequest(scheme, service, account);
+		if (request) {
+			await this.agent.forget(request);
+		}
+	}
+
+	/**
+	 * Run a provider operation and record it in the audit log, if enabled.
+	 * A failure to write the audit entry fails the operation.
+	 * @param {string} operation - get, set, delete or resolve
+	 * @param {string} scheme - Provider scheme
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @param {Function} action - Performs the operation
+	 * @returns {Promise<*>} - Result of action
+	 */
+	async audited(operation, scheme, service, account, action) {
+		if (!this.audit) {
+			return await action();
+		}
+
+		let result;
+		let failure;
+		try {
+			result = await action();
+		} catch (error) {
+			failure = error;
+		}
+		await this.audit.record({ operation, provider: scheme, profile: this.profileName ?? undefined, service, account, outcome: failure ? classifyError(failure) : "ok" });
+		if (failure) {
+			throw failure;
+		}
+		return result;
+	}
+
+	/**
+	 * Fetch a secret for resolution. Concurrent requests for the same secret
+	 * share one provider call, and results are cached when cacheTtl is set.
+	 * @param {string} scheme - Provider scheme
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @returns {Promise<string>} - Retrieved secret
+	 */
+	fetchSecret(scheme, service, account) {
+		const id = secretId({ scheme, service, account });
+
+		const cached = this.cache.get(id);
+		if (cached !== undefined) {
+			return Promise.resolve(cached);
+		}
+
+		if (!this.pending.has(id)) {
+			const request = this.audited("resolve", scheme, service, account, () => this.readSecret(scheme, service, account))
+				.then((secret) => {
+					// A set or delete during the call invalidates the result
+					if (this.pending.get(id) === request) {
+						this.cache.set(id, secret);
+					}
+					return secret;
+				})
+				.finally(() => {
+					if (this.pending.get(id) === request) {
+						this.pending.delete(id);
+					}
+				});
+			this.pending.set(id, request);
+		}
+		return this.pending.get(id);
+	}
+
+	/**
+	 * Read a secret from its provider, bypassing the cache and the agent, to
+	 * see its current value. A cached copy is dropped. Since a watcher polls
+	 * with this, a read is only audited when its outcome differs from the
+	 * previous fresh read of the same secret.
+	 * @param {string} scheme - Provider scheme
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @returns {Promise<string>} - Retrieved secret
+	 */
+	async fetchFresh(scheme, service, account) {
+		const id = secretId({ scheme, service, account });
+
+		let secret;
+		let failure;
+		try {
+			secret = await this.readSecret(scheme, service, account, false);
+		} catch (error) {
+			failure = error;
+		}
+
+		const outcome = failure ? classifyError(failure) : crypto.createHash("sha256").update(secret).digest("hex");
+		if (this.freshReads.get(id) !== outcome) {
+			this.freshReads.set(id, outcome);
+			await this.audited("resolve", scheme, service, account, async () => {
+				if (failure) throw failure;
+			});
+		}
+		if (failure) {
+			throw failure;
+		}
+
+		this.clearCache(service, account, scheme);
+		return secret;
+	}
+
+	/**
+	 * Drop cached and in-flight results for one secret, or all of them
+	 * @param {string} [service] - Service identifier
+	 * @param {string} [account] - Account identifier
+	 * @param {string} [scheme] - Provider scheme (defaults to the default scheme)
+	 */
+	clearCache(service, account, scheme = this.options.defaultScheme) {
+		if (service === undefined) {
+			this.cache.clear();
+			this.pending.clear();
+			return;
+		}
+		const id = secretId({ scheme, service, account });
+		this.cache.delete(id);
+		this.pending.delete(id);
 	}
 
 	/**
 	 * Process environment variables and substitute secret references
 	 * @param {Object} env - Environment variables object (defaults to process.env)
+	 * @param {Object} [options] - Resolve options
+	 * @param {boolean} [options.fresh] - Read every secret from its provider, skipping the
+	 * cache and the agent (default false)
 	 * @returns {Promise<Object>} - Environment with secrets resolved
 	 */
-	async resolveEnvironment(env = process.env) {
-		return await resolveSecrets(env, this.options.envPrefix, this.options.envSuffix, this.provider);
+	async resolveEnvironment(env = process.env, options = {}) {
+		const fetchSecret = options.fresh
+			? (scheme, service, account) => this.fetchFresh(scheme, service, account)
+			: (scheme, service, account) => this.fetchSecret(scheme, service, account);
+		return await resolveSecrets(env, this.options, fetchSecret, (value) => this.redactor.add(value));
+	}
+
+	/**
+	 * Keep a resolved environment up to date. The watcher re-resolves when
+	 * an env file is edited and reads the secrets again on a timer, backing
+	 * off while nothing changes. It emits "change" with the names of the
+	 * changed keys; their values are in watcher.env. Call close() to stop.
+	 * Every poll reads each secret from its provider rather than the agent,
+	 * which on macOS may prompt for keychain access unless the item allows
+	 * it. Polls are only audited when a secret's value or error changes.
+	 * @param {string|Object} source - Env file path or environment variables object
+	 * @param {Object} [options] - Watch options: base, interval and maxInterval (see EnvWatcher)
+	 * @returns {Promise<EnvWatcher>} - Started watcher
+	 */
+	async watch(source, options = {}) {
+		return await new EnvWatcher(this, source, options).start();
+	}
+
+	/**
+	 * Mask every secret this instance has read or resolved so far
+	 * @param {string} text - Text such as a log line
+	 * @returns {string} - Text with secrets replaced by the mask
+	 */
+	redact(text) {
+		return this.redactor.redact(text);
+	}
+
+	/**
+	 * Create a stream masking secrets in text passing through, e.g. a child
+	 * process's output. Secrets read after it was created are masked too.
+	 * @returns {Transform} - Transform stream
+	 */
+	createRedactor() {
+		return this.redactor.createStream();
+	}
+
+	/**
+	 * Replace secret references anywhere in a config file template, escaping
+	 * values for the JSON or YAML string context they appear in
+	 * @param {string} content - Template content
+	 * @param {Object} [options] - Render options
+	 * @param {string} [options.format] - json, yaml or raw (detected from filename by default)
+	 * @param {string} [options.filename] - Template file name, for format detection and error messages
+	 * @returns {Promise<string>} - Rendered content
+	 */
+	async render(content, options = {}) {
+		return await renderTemplate(content, { ...this.options, ...options }, (env) => this.resolveEnvironment(env));
+	}
+
+	/**
+	 * Load .env, .env.local, .env.<NODE_ENV> and .env.<NODE_ENV>.local, later
+	 * files taking precedence, and resolve the secret references they contain
+	 * @param {Object} [options] - Load options
+	 * @param {string} [options.cwd] - Directory holding the files (defaults to process.cwd())
+	 * @param {string} [options.nodeEnv] - Environment name (defaults to NODE_ENV)
+	 * @param {boolean} [options.merge] - Copy the result into process.env (default false).
+	 * Variables already set there are kept and not resolved, and ${VAR} in the files
+	 * sees their value too.
+	 * @returns {Promise<Object>} - env with resolved values, sources mapping each key to its
+	 * file (or "process.env" for kept variables), and the files that were read
+	 */
+	async load(options = {}) {
+		const { merge = false } = options;
+		const { env, sources, files } = await readLayers({ ...options, keepProcessEnv: merge });
+
+		if (merge) {
+			for (const key of Object.keys(env)) {
+				if (Object.hasOwn(process.env, key)) {
+					delete env[key];
+					sources[key] = "process.env";
+				}
+			}
+		}
+
+		const resolved = await this.resolveEnvironment(env);
+		if (merge) {
+			Object.assign(process.env, resolved);
+		}
+
+		return { env: resolved, sources, files };
 	}
 
 	/**
@@ -36,71 +440,233 @@ class TaemnoOS {
 	 * @param {string} service - Service identifier
 	 * @param {string} account - Account identifier
 	 * @param {string} secret - Secret value to store
+	 * @param {string} [scheme] - Provider scheme (defaults to the default scheme)
 	 * @returns {Promise<boolean>} - Success status
 	 */
-	async set(service, account, secret) {
-		return await storeSecret(service, account, secret, this.provider);
+	async set(service, account, secret, scheme = this.options.defaultScheme) {
+		this.clearCache(service, account, scheme);
+		const result = await this.audited("set", scheme, service, account, () => storeSecret(service, account, secret, this.getProvider(scheme)));
+		// A resolve that ran during the write may have cached the old value
+		this.clearCache(service, account, scheme);
+		await this.forgetInAgent(scheme, service, account);
+		return result;
 	}
 
 	/**
 	 * Retrieve a secret from the system keychain
 	 * @param {string} service - Service identifier
 	 * @param {string} account - Account identifier
+	 * @param {string} [scheme] - Provider scheme (defaults to the default scheme)
 	 * @returns {Promise<string>} - Retrieved secret
 	 */
-	async get(service, account) {
-		return await retrieveSecret(service, account, this.provider);
+	async get(service, account, scheme = this.options.defaultScheme) {
+		return await this.audited("get", scheme, service, account, () => this.readSecret(scheme, service, account));
 	}
 
 	/**
 	 * Check if a secret exists in the system keychain
 	 * @param {string} service - Service identifier
 	 * @param {string} account - Account identifier
+	 * @param {string} [scheme] - Provider scheme (defaults to the default scheme)
 	 * @returns {Promise<boolean>} - True if secret exists
 	 */
-	async exists(service, account) {
-		return await secretExists(service, account, this.provider);
+	async exists(service, account, scheme = this.options.defaultScheme) {
+		return await secretExists(service, account, this.getProvider(scheme));
 	}
 
 	/**
 	 * Delete a secret from the system keychain
 	 * @param {string} service - Service identifier
 	 * @param {string} account - Account identifier
+	 * @param {string} [scheme] - Provider scheme (defaults to the default scheme)
 	 * @returns {Promise<boolean>} - Success status
 	 */
-	async delete(service, account) {
-		return await deleteSecret(service, account, this.provider);
+	async delete(service, account, scheme = this.options.defaultScheme) {
+		this.clearCache(service, account, scheme);
+		const result = await this.audited("delete", scheme, service, account, () => deleteSecret(service, account, this.getProvider(scheme)));
+		// A resolve that ran during the write may have cached the old value
+		this.clearCache(service, account, scheme);
+		await this.forgetInAgent(scheme, service, account);
+		return result;
+	}
+
+	/**
+	 * Generate a random secret and store it
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @param {Object} [options] - Generation options: format, length and charset (see generateSecret)
+	 * @param {string} [scheme] - Provider scheme (defaults to the default scheme)
+	 * @returns {Promise<string>} - Generated secret
+	 */
+	async generate(service, account, options = {}, scheme = this.options.defaultScheme) {
+		const secret = generateSecret(options);
+		await this.set(service, account, secret, scheme);
+		return secret;
+	}
+
+	/**
+	 * Replace a secret with a generated one. The current value moves to
+	 * account@v1, and earlier versions shift to @v2 and so on, so services
+	 * still using the old value can fall back to it during cutover. Versions
+	 * are copied before the current value is overwritten, so a write failing
+	 * part way never loses the previous value.
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @param {Object} [options] - Generation options (see generateSecret)
+	 * @param {number} [options.keep] - Number of previous versions to keep (default 1)
+	 * @param {string} [scheme] - Provider scheme (defaults to the default scheme)
+	 * @returns {Promise<Object>} - New secret, and the account holding the previous value or null
+	 */
+	async rotate(service, account, options = {}, scheme = this.options.defaultScheme) {
+		const { keep = 1, ...generateOptions } = options;
+		if (!Number.isInteger(keep) || keep < 1) {
+			throw new TaemnoError("keep must be a positive integer", ErrorCodes.INVALID_VALUE);
+		}
+		// Generate first so invalid options fail before anything is written
+		const secret = generateSecret(generateOptions);
+
+		const read = async (name) => {
+			try {
+				return await this.get(service, name, scheme);
+			} catch (error) {
+				if (classifyError(error) === ErrorCodes.NOT_FOUND) return undefined;
+				throw error;
+			}
+		};
+
+		const previous = await read(account);
+		if (previous !== undefined) {
+			// Shift older versions up, the oldest one kept is overwritten
+			for (let version = keep - 1; version >= 1; version--) {
+				const older = await read(versionedAccount(account, version));
+				if (older !== undefined) {
+					await this.set(service, versionedAccount(account, version + 1), older, scheme);
+				}
+			}
+			await this.set(service, versionedAccount(account, 1), previous, scheme);
+		}
+		await this.set(service, account, secret, scheme);
+
+		return {
+			secret,
+			previous: previous === undefined ? null : versionedAccount(account, 1)
+		};
+	}
+
+	/**
+	 * List secrets held by a provider. Only names are returned, never values.
+	 * @param {string} [service] - Only list accounts of this service
+	 * @param {string} [scheme] - Provider scheme (defaults to the default scheme)
+	 * @returns {Promise<Array<Object>>} - Items with service and account, sorted
+	 */
+	async list(service = null, scheme = this.options.defaultScheme) {
+		return await listSecrets(service, this.getProvider(scheme), scheme);
+	}
+
+	/**
+	 * Resolve the variables declared in a schema and convert them to their
+	 * types. Variables missing from the schema are ignored.
+	 * @param {string|Object} schema - Schema or path to a .env.schema or JSON file
+	 * @param {Object} env - Environment variables object (defaults to process.env)
+	 * @returns {Promise<Object>} - Typed config keyed by variable name
+	 * @throws {SchemaError} - Listing every violation
+	 */
+	async config(schema, env = process.env) {
+		const rules = await toSchema(schema);
+		const declared = Object.fromEntries(Object.keys(rules).filter((key) => Object.hasOwn(env, key)).map((key) => [key, env[key]]));
+		const resolved = await this.resolveEnvironment(declared);
+
+		const { violations, config } = validateEnv(rules, declared, {
+			resolved,
+			referencePattern: createReferencePattern(this.options.envPrefix, this.options.envSuffix)
+		});
+		if (violations.length > 0) {
+			throw new SchemaError(violations);
+		}
+		return config;
 	}
 
 	/**
 	 * Verify that all secret references in environment are resolvable
 	 * @param {Object} env - Environment variables object (defaults to process.env)
-	 * @returns {Promise<Object>} - Object with success status and missing secrets if any
+	 * @param {Object} [options] - Verification options
+	 * @param {string|Object} [options.schema] - Also check the environment against this schema.
+	 * Values holding references are checked for presence only, so no secret is read.
+	 * @returns {Promise<Object>} - Object with success status and missing secrets if any. Each missing
+	 * secret carries key, reference, provider, service, account, code (see ErrorCodes) and cause.
+	 * With a schema, violations lists key, rule and message of each violation.
 	 */
-	async verifyEnvironment(env = process.env) {
-		const missingSecrets = [];
-		const regex = new RegExp(`${this.options.envPrefix.replace(/\$/g, "\\$").replace(/\(/g, "\\(")}(.+?)${this.options.envSuffix.replace(/\)/g, "\\)")}`, "g");
+	async verifyEnvironment(env = process.env, options = {}) {
+		const found = collectReferences(env, this.options);
+		const failed = [];
 
-		for (const [key, value] of Object.entries(env)) {
-			if (typeof value === "string") {
-				let match;
-				while ((match = regex.exec(value)) !== null) {
-					const [, path] = match;
-					const [service, account] = path.split("/");
+		for (const item of found) {
+			try {
+				item.reference = parseReference(item.body, this.options.defaultScheme);
+			} catch (error) {
+				failed.push({ item, cause: error });
+			}
+		}
 
-					if (!await this.exists(service, account)) {
-						missingSecrets.push({ key, service, account });
-					}
-				}
+		// Check each distinct secret once; references with a default always resolve
+		const checked = found.filter(({ reference }) => reference && reference.default === undefined);
+		const unique = new Map(checked.map(({ reference }) => [secretId(reference), reference]));
+		const results = new Map();
+		await mapLimit([...unique], this.options.concurrency, async ([id, { scheme, service, account }]) => {
+			try {
+				results.set(id, { exists: await this.exists(service, account, scheme) });
+			} catch (error) {
+				results.set(id, { error });
 			}
+		});
+
+		for (const item of checked) {
+			const { service, account } = item.reference;
+			const { exists, error } = results.get(secretId(item.reference));
+			if (error) {
+				failed.push({ item, cause: error });
+			} else if (!exists) {
+				failed.push({ item, cause: new TaemnoError(`Secret not found: ${service}/${account}`, ErrorCodes.NOT_FOUND) });
+			}
+		}
+
+		failed.sort((a, b) => found.indexOf(a.item) - found.indexOf(b.item));
+		const missingSecrets = failed.map(({ item, cause }) => describeFailure(item, cause, this.options.defaultScheme));
+
+		if (!options.schema) {
+			return {
+				success: missingSecrets.length === 0,
+				missingSecrets
+			};
 		}
 
+		const { violations } = validateEnv(await toSchema(options.schema), env, {
+			referencePattern: createReferencePattern(this.options.envPrefix, this.options.envSuffix)
+		});
 		return {
-			success: missingSecrets.length === 0,
-			missingSecrets
+			success: missingSecrets.length === 0 && violations.length === 0,
+			missingSecrets,
+			violations
 		};
 	}
 }
 
 module.exports = new TaemnoOS();
-module.exports.TaemnoOS = TaemnoOS;
\ No newline at end of file
+module.exports.TaemnoOS = TaemnoOS;
+module.exports.registerProvider = registry.registerProvider;
+module.exports.unregisterProvider = registry.unregisterProvider;
+module.exports.parseEnv = parse;
+module.exports.EnvSyntaxError = EnvSyntaxError;
+module.exports.parseReference = parseReference;
+module.exports.formatReference = formatReference;
+module.exports.ErrorCodes = ErrorCodes;
+module.exports.TaemnoError = TaemnoError;
+module.exports.MalformedReferenceError = MalformedReferenceError;
+module.exports.ResolutionError = ResolutionError;
+module.exports.describeCode = describeCode;
+module.exports.generateSecret = generateSecret;
+module.exports.versionedAccount = versionedAccount;
+module.exports.AuditLog = AuditLog;
+module.exports.SchemaError = SchemaError;
+module.exports.Redactor = Redactor;
+module.exports.EnvWatcher = EnvWatcher;
@@ -0,0 +1,70 @@
+/**
+ * Layered env files, in the style of dotenv-flow
+ *
+ * Files are read from lowest to highest precedence:
+ *   .env, .env.local, .env.<NODE_ENV>, .env.<NODE_ENV>.local
+ * .env.local is skipped when NODE_ENV is "test", so test runs do not depend
+ * on a developer's local overrides. Missing files are ignored.
+ */
+const fs = require("fs").promises;
+const path = require("path");
+const { parse } = require("./envfile.js");
+
+/**
+ * Env file names for an environment, lowest precedence first
+ * @param {string} [nodeEnv] - Environment name, usually NODE_ENV
+ * @returns {Array<string>} - File names
+ */
+function layerNames(nodeEnv) {
+	const names = [".env"];
+	if (nodeEnv !== "test") {
+		names.push(".env.local");
+	}
+	if (nodeEnv) {
+		names.push(`.env.${nodeEnv}`, `.env.${nodeEnv}.local`);
+	}
+	return names;
+}
+
+/**
+ * Read and merge the env file layers. Later files override earlier ones and
+ * may interpolate their variables.
+ * @param {Object} [options] - Load options
+ * @param {string} [options.cwd] - Directory holding the files (defaults to process.cwd())
+ * @param {string} [options.nodeEnv] - Environment name (defaults to NODE_ENV)
+ * @param {boolean} [options.keepProcessEnv] - Variables set in process.env win over the
+ * files in ${VAR} interpolation, as they do when load merges (default false)
+ * @returns {Promise<Object>} - env with unresolved values, sources mapping each key to
+ * the file it came from, and the files that were read
+ */
+async function readLayers(options = {}) {
+	const { cwd = process.cwd(), nodeEnv = process.env.NODE_ENV, keepProcessEnv = false } = options;
+	const env = {};
+	const sources = {};
+	const files = [];
+
+	for (const name of layerNames(nodeEnv)) {
+		const file = path.resolve(cwd, name);
+		let content;
+		try {
+			content = await fs.readFile(file, "utf8");
+		} catch (error) {
+			if (error.code === "ENOENT") continue;
+			throw error;
+		}
+
+		const values = parse(content, { env: { ...process.env, ...env }, override: keepProcessEnv ? process.env : {}, filename: file });
+		for (const [key, value] of Object.entries(values)) {
+			env[key] = value;
+			sources[key] = file;
+		}
+		files.push(file);
+	}
+
+	return { env, sources, files };
+}
+
+module.exports = {
+	layerNames,
+	readLayers
+};
@@ -0,0 +1,174 @@
+/**
+ * Named profiles for keeping several stages' secrets side by side
+ *
+ * A profile prefixes every service name, selects a separate keychain, or
+ * both, so os://db/password reads dev/db in one profile and prod/db in
+ * another. Profiles live in ~/.taemno/profiles.json (or TAEMNO_PROFILES):
+ *
+ *   {
+ *     "dev": { "prefix": "dev/" },
+ *     "prod": { "prefix": "prod/", "keychain": "prod.keychain-db", "production": true }
+ *   }
+ *
+ * keychain is a keychain name on macOS and a vault file for the file
+ * provider. Providers without a way to select one cannot be used with it.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ErrorCodes, TaemnoError } = require("./errors.js");
+
+const DEFAULT_PROFILES_PATH = path.join(os.homedir(), ".taemno", "profiles.json");
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const FIELDS = ["prefix", "keychain", "production", "schemes"];
+
+/**
+ * Check and normalize one profile definition
+ * @param {string} name - Profile name
+ * @param {Object} definition - prefix, keychain, production and schemes
+ * @returns {Object} - Profile with every field set
+ */
+function createProfile(name, definition) {
+	const fail = (message) => {
+		throw new TaemnoError(`Invalid profile "${name}": ${message}`, ErrorCodes.INVALID_VALUE);
+	};
+
+	if (!PROFILE_NAME_PATTERN.test(name)) fail("name may only contain letters, digits, \".\", \"_\" and \"-\"");
+	if (definition === null || typeof definition !== "object" || Array.isArray(definition)) fail("expected an object");
+
+	const unknown = Object.keys(definition).find((field) => !FIELDS.includes(field));
+	if (unknown) fail(`unknown field "${unknown}"`);
+
+	const { prefix = "", keychain = null, production = false, schemes = null } = definition;
+	if (typeof prefix !== "string") fail("prefix must be a string");
+	if (keychain !== null && (typeof keychain !== "string" || keychain === "")) fail("keychain must be a non-empty string");
+	if (typeof production !== "boolean") fail("production must be true or false");
+	if (schemes !== null && (!Array.isArray(schemes) || !schemes.every((scheme) => typeof scheme === "string"))) {
+		fail("schemes must be a list of scheme names");
+	}
+	if (prefix === "" && keychain === null) fail("expected a prefix or a keychain");
+
+	return { name, prefix, keychain, production, schemes };
+}
+
+/**
+ * Check and normalize profile definitions
+ * @param {Object} definitions - Definitions keyed by profile name
+ * @returns {Object} - Profiles keyed by name
+ */
+function createProfiles(definitions) {
+	if (definitions === null || typeof definitions !== "object" || Array.isArray(definitions)) {
+		throw new TaemnoError("Profiles must be an object keyed by profile name", ErrorCodes.INVALID_VALUE);
+	}
+	return Object.fromEntries(Object.entries(definitions).map(([name, definition]) => [name, createProfile(name, definition)]));
+}
+
+/**
+ * Read profiles from a JSON file. A missing file holds no profiles.
+ * @param {string} [file] - Profiles file (defaults to ~/.taemno/profiles.json)
+ * @returns {Object} - Profiles keyed by name
+ */
+function loadProfiles(file = DEFAULT_PROFILES_PATH) {
+	let content;
+	try {
+		content = fs.readFileSync(file, "utf8");
+	} catch (error) {
+		if (error.code === "ENOENT") return {};
+		throw new TaemnoError(`Failed to read profiles: ${file}`, ErrorCodes.PROVIDER_ERROR, error);
+	}
+
+	let definitions;
+	try {
+		definitions = JSON.parse(content);
+	} catch (error) {
+		throw new TaemnoError(`Invalid profiles file ${file}: ${error.message}`, ErrorCodes.INVALID_VALUE, error);
+	}
+	return createProfiles(definitions);
+}
+
+/**
+ * Look up a profile by name
+ * @param {string} name - Profile name
+ * @param {string|Object} [profiles] - Profiles file or definitions keyed by name
+ * @returns {Object} - Profile
+ */
+function findProfile(name, profiles) {
+	const file = typeof profiles === "string" ? profiles : DEFAULT_PROFILES_PATH;
+	const available = profiles && typeof profiles === "object" ? createProfiles(profiles) : loadProfiles(file);
+
+	if (!Object.hasOwn(available, name)) {
+		const where = profiles && typeof profiles === "object" ? "" : ` in ${file}`;
+		throw new TaemnoError(`Unknown profile "${name}"${where}`, ErrorCodes.INVALID_VALUE);
+	}
+	return available[name];
+}
+
+/**
+ * Refuse a production profile that was not explicitly confirmed
+ * @param {Object} profile - Profile
+ * @param {boolean} confirmed - Whether production access was confirmed
+ */
+function assertConfirmed(profile, confirmed) {
+	if (profile.production && !confirmed) {
+		throw new TaemnoError(
+			`Profile "${profile.name}" is a production profile; confirm with --confirm-production or TAEMNO_CONFIRM_PRODUCTION=${profile.name}`,
+			ErrorCodes.ACCESS_DENIED
+		);
+	}
+}
+
+/**
+ * Check whether a profile applies to a scheme
+ * @param {Object} profile - Profile
+ * @param {string} scheme - Provider scheme
+ * @returns {boolean} - True if the profile scopes that provider
+ */
+function appliesTo(profile, scheme) {
+	return profile.schemes === null || profile.schemes.includes(scheme);
+}
+
+/**
+ * Wrap a provider so it reads and writes within a profile
+ * @param {Object} provider - Provider implementation
+ * @param {Object} profile - Profile
+ * @returns {Object} - Provider with prefixed service names, bound to the profile's keychain
+ */
+function scopeProvider(provider, profile) {
+	let target = provider;
+	if (profile.keychain !== null) {
+		if (typeof provider.withKeychain !== "function") {
+			throw new TaemnoError(`Profile "${profile.name}" selects a keychain, which this provider does not support`, ErrorCodes.PROVIDER_UNAVAILABLE);
+		}
+		target = provider.withKeychain(profile.keychain);
+	}
+
+	const { prefix } = profile;
+	const scoped = {
+		set: (service, account, secret) => target.set(prefix + service, account, secret),
+		get: (service, account) => target.get(prefix + service, account),
+		exists: (service, account) => target.exists(prefix + service, account),
+		delete: (service, account) => target.delete(prefix + service, account)
+	};
+
+	if (typeof target.list === "function") {
+		// Services of other profiles sharing the keychain are left out
+		scoped.list = async (service = null) => {
+			const items = await target.list(service === null ? null : prefix + service);
+			return items
+				.filter((item) => item.service.startsWith(prefix) && item.service.length > prefix.length)
+				.map((item) => ({ ...item, service: item.service.slice(prefix.length) }));
+		};
+	}
+
+	return scoped;
+}
+
+module.exports = {
+	DEFAULT_PROFILES_PATH,
+	createProfiles,
+	loadProfiles,
+	findProfile,
+	assertConfirmed,
+	appliesTo,
+	scopeProvider
+};
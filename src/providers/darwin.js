@@ -1,32 +1,59 @@
 const { promisify } = require('util');
 const { execFile } = require('child_process');
+const { ErrorCodes, TaemnoError } = require('../errors.js');
 const execAsync = promisify(execFile);
 
-const SECURITY_COMMAND = '/usr/bin/security';
+const SECURITY_COMMAND = process.env.TAEMNO_SECURITY || '/usr/bin/security';
 const ALLOWED_KEYCHAIN = null; // null allows default, or specify a specific path.  NEVER allow arbitrary paths.
 
-class KeychainError extends Error {
-	constructor(message, originalError) {
-		super(message);
+// Exit statuses of the security tool (low byte of the OSStatus)
+const STATUS_ITEM_NOT_FOUND = 44; // errSecItemNotFound
+const STATUS_ACCESS_DENIED = [36, 51, 128]; // errSecInteractionNotAllowed, errSecAuthFailed, userCanceledErr
+
+class KeychainError extends TaemnoError {
+	constructor(message, originalError, code) {
+		super(message, code, originalError);
 		this.name = 'KeychainError';
-		this.originalError = originalError;
 	}
 }
 
 class InvalidInputError extends KeychainError {
 	constructor(message) {
-		super(message);
+		super(message, undefined, ErrorCodes.MALFORMED_REFERENCE);
 		this.name = 'InvalidInputError';
 	}
 }
 
 /**
- * Validate and sanitize inputs to prevent command injection
+ * Map a failed security invocation to an error code
+ * @param {Error} error - Error from execFile
+ * @returns {string} - One of ErrorCodes
+ */
+function errorCode(error) {
+	if (error.code === 'ENOENT') return ErrorCodes.PROVIDER_UNAVAILABLE;
+	if (error.code === STATUS_ITEM_NOT_FOUND) return ErrorCodes.NOT_FOUND;
+	if (STATUS_ACCESS_DENIED.includes(error.code)) return ErrorCodes.ACCESS_DENIED;
+	return ErrorCodes.PROVIDER_ERROR;
+}
+
+/**
+ * Validate names before handing them to security. Arguments are passed
+ * through execve without a shell and names always follow an option flag,
+ * so only reject what argv cannot carry.
  * @param {string} input - Input string to validate
  * @returns {boolean} - True if valid, false otherwise
  */
 function isValidInput(input) {
-	return input.constructor.name === 'String' && /^[a-zA-Z0-9._-@#]+$/.test(input) && input.length <= 255;
+	return typeof input === 'string' && input.length > 0 && [...input].length <= 255 && !input.includes('\0');
+}
+
+/**
+ * Validate a keychain name. Keychains are files, so paths stay out.
+ * @param {string} keychain - Keychain name
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function isValidKeychain(keychain) {
+	return typeof keychain === 'string' && /^[A-Za-z0-9._@#-]+$/.test(keychain) && keychain.length <= 255;
 }
 
 function validateInputs(service, account, keychain) {
@@ -36,11 +63,28 @@ function validateInputs(service, account, keychain) {
 	if (!isValidInput(account)) {
 		throw new InvalidInputError('Invalid account name');
 	}
-	if (keychain && !isValidInput(keychain)) {
+	if (keychain && !isValidKeychain(keychain)) {
 		throw new InvalidInputError('Invalid keychain name');
 	}
 }
 
+/**
+ * Arguments deleting an item, from the given keychain only if there is one
+ * @param {string} service - Service identifier
+ * @param {string} account - Account identifier
+ * @param {string} [keychain] - Optional keychain name
+ * @returns {Array<string>} - Arguments for security
+ */
+function deleteArgs(service, account, keychain) {
+	const args = ['delete-generic-password', '-s', service, '-a', account];
+
+	if (keychain) {
+		args.push(keychain);
+	}
+
+	return args;
+}
+
 /**
  * Store a secret in the macOS Keychain
  * @param {string} service - Service identifier
@@ -52,31 +96,34 @@ function validateInputs(service, account, keychain) {
 async function set(service, account, secret, keychain = null) {
 	validateInputs(service, account, keychain);
 
-	const args = ['add-generic-password', '-s', `'${service}'`, '-a', service, '-a', account];
+	// The keychain is the trailing operand, before a final -w that makes
+	// security read the password from stdin
+	const args = ['add-generic-password', '-s', service, '-a', account, '-U'];
 
 	if (keychain) {
-		args.push('-k', keychain);
+		args.push(keychain);
 	}
 
 	try {
-		await execAsync(SECURITY_COMMAND, ['delete-generic-password', '-s', service, '-a', account]);
+		await execAsync(SECURITY_COMMAND, deleteArgs(service, account, keychain));
 	} catch (deleteError) {
 		// Ignore error if the item doesn't exist. If it doesn't we want to create the key
 	}
 
 	try {
-		const child = execFile(SECURITY_COMMAND, args.concat(['-U', '-w']), { stdio: ['pipe', 'pipe', 'ignore'] });
+		const child = execFile(SECURITY_COMMAND, args.concat(['-w']), { stdio: ['pipe', 'pipe', 'ignore'] });
 		child.stdin.write(secret);
 		child.stdin.end();
 		await new Promise((resolve, reject) => {
 			child.on('close', (code) => {
 				if (code === 0) resolve(true);
-				else reject(new KeychainError(`Failed to store secret`, new Error(`security command failed with code ${code}`)));
+				else reject(new KeychainError(`Failed to store secret`, new Error(`security command failed with code ${code}`), errorCode({ code })));
 			});
 		});
 		return true;
 	} catch (error) {
-		throw new KeychainError(`Failed to store secret`, error);
+		if (error instanceof KeychainError) throw error;
+		throw new KeychainError(`Failed to store secret`, error, errorCode(error));
 	}
 }
 
@@ -93,14 +140,17 @@ async function get(service, account, keychain = null) {
 	const args = ['find-generic-password', '-s', service, '-a', account, '-w'];
 
 	if (keychain) {
-		args.push('-k', keychain);
+		args.push(keychain);
 	}
 
 	try {
 		const { stdout } = await execAsync(SECURITY_COMMAND, args, { encoding: 'utf8' });
-		return stdout.trim();
+		// security terminates the password with a newline, keep everything else
+		return stdout.replace(/\n$/, '');
 	} catch (error) {
-		throw new KeychainError(`Secret not found: ${service}/${account}`, error);
+		const code = errorCode(error);
+		const message = code === ErrorCodes.NOT_FOUND ? 'Secret not found' : 'Failed to retrieve secret';
+		throw new KeychainError(`${message}: ${service}/${account}`, error, code);
 	}
 }
 
@@ -116,7 +166,9 @@ async function exists(service, account, keychain = null) {
 		await get(service, account, keychain);
 		return true;
 	} catch (error) {
-		return false;
+		// Anything but a missing item is a real failure the caller should see
+		if (error.code === ErrorCodes.NOT_FOUND) return false;
+		throw error;
 	}
 }
 
@@ -130,23 +182,118 @@ async function exists(service, account, keychain = null) {
 async function deleteSecret(service, account, keychain = null) {
 	validateInputs(service, account, keychain);
 
-	const args = ['delete-generic-password', '-s', service, '-a', account];
+	try {
+		await execAsync(SECURITY_COMMAND, deleteArgs(service, account, keychain));
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * Decode an attribute value as printed by security dump-keychain. Printable
+ * values are quoted, anything else is printed as hex followed by a preview.
+ * Quoted values escape bytes outside ASCII as octal, e.g. \303\251.
+ * @param {string} raw - Text after the "=" sign
+ * @returns {string|null} - Decoded value, or null for <NULL>
+ */
+function decodeDumpValue(raw) {
+	const hex = /^0x([0-9A-Fa-f]*)/.exec(raw);
+	if (hex) {
+		return Buffer.from(hex[1], 'hex').toString('utf8');
+	}
+	const quoted = /^"(.*)"$/.exec(raw);
+	if (quoted) {
+		const bytes = [];
+		for (const [, octal, escaped, plain] of quoted[1].matchAll(/\\([0-7]{3})|\\(.)|([^\\]+)/gs)) {
+			if (octal) bytes.push(Buffer.from([parseInt(octal, 8)]));
+			else bytes.push(Buffer.from(escaped ?? plain, 'utf8'));
+		}
+		return Buffer.concat(bytes).toString('utf8');
+	}
+	return null;
+}
+
+/**
+ * Extract generic password items from security dump-keychain output
+ * @param {string} output - Output of security dump-keychain (without -d)
+ * @returns {Array<Object>} - Items with service and account
+ */
+function parseDump(output) {
+	const items = [];
+	let current = null;
+
+	const finish = () => {
+		if (current && current.class === 'genp' && current.service !== null && current.account !== null) {
+			items.push({ service: current.service, account: current.account });
+		}
+	};
+
+	for (const line of output.split('\n')) {
+		const classMatch = /^class: (?:"(\w+)"|(0x[0-9A-Fa-f]+))/.exec(line);
+		if (classMatch) {
+			finish();
+			current = { class: classMatch[1] || classMatch[2], service: null, account: null };
+			continue;
+		}
+
+		const attribute = /^\s+"(svce|acct)"<blob>=(.*)$/.exec(line);
+		if (attribute && current) {
+			current[attribute[1] === 'svce' ? 'service' : 'account'] = decodeDumpValue(attribute[2]);
+		}
+	}
+	finish();
+
+	return items;
+}
+
+/**
+ * List secrets in the macOS Keychain. Only item metadata is read, values
+ * are never requested.
+ * @param {string} [service] - Only list accounts of this service
+ * @param {string} [keychain] - Optional keychain name
+ * @returns {Promise<Array<Object>>} - Items with service and account
+ */
+async function list(service = null, keychain = null) {
+	if (keychain && !isValidKeychain(keychain)) {
+		throw new InvalidInputError('Invalid keychain name');
+	}
+
+	const args = ['dump-keychain'];
 
 	if (keychain) {
-		args.push('-k', keychain);
+		args.push(keychain);
 	}
 
 	try {
-		await execAsync(SECURITY_COMMAND, args);
-		return true;
+		const { stdout } = await execAsync(SECURITY_COMMAND, args, { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+		return parseDump(stdout).filter((item) => service === null || item.service === service);
 	} catch (error) {
-		return false;
+		throw new KeychainError('Failed to list secrets', error, errorCode(error));
 	}
 }
 
+/**
+ * Bind the provider to a keychain other than the default one
+ * @param {string} keychain - Keychain name
+ * @returns {Object} - Provider using that keychain
+ */
+function withKeychain(keychain) {
+	return {
+		set: (service, account, secret) => set(service, account, secret, keychain),
+		get: (service, account) => get(service, account, keychain),
+		exists: (service, account) => exists(service, account, keychain),
+		delete: (service, account) => deleteSecret(service, account, keychain),
+		list: (service = null) => list(service, keychain)
+	};
+}
+
 module.exports = {
 	set,
 	get,
 	exists,
-	delete: deleteSecret
+	delete: deleteSecret,
+	list,
+	withKeychain,
+	parseDump
 };
\ No newline at end of file
@@ -0,0 +1,354 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ErrorCodes, TaemnoError } = require('../errors.js');
+const { acquireLock } = require('../utility.js');
+
+const DEFAULT_VAULT_PATH = path.join(os.homedir(), '.taemno', 'vault.json');
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const LOCK_TIMEOUT = 5000;
+const LOCK_RETRY_DELAY = 50;
+const LOCK_STALE_AFTER = 30000;
+
+class VaultError extends TaemnoError {
+	constructor(message, originalError, code) {
+		super(message, code, originalError);
+		this.name = 'VaultError';
+	}
+}
+
+class InvalidInputError extends VaultError {
+	constructor(message) {
+		super(message, undefined, ErrorCodes.MALFORMED_REFERENCE);
+		this.name = 'InvalidInputError';
+	}
+}
+
+/**
+ * Validate service and account names. They are only ever used as JSON keys,
+ * so any non-empty string of reasonable length is accepted.
+ * @param {string} input - Input string to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function isValidInput(input) {
+	return typeof input === 'string' && input.length > 0 && [...input].length <= 255;
+}
+
+function validateInputs(service, account) {
+	if (!isValidInput(service)) {
+		throw new InvalidInputError('Invalid service name');
+	}
+	if (!isValidInput(account)) {
+		throw new InvalidInputError('Invalid account name');
+	}
+}
+
+/**
+ * Refuse files that other users can read or write
+ * @param {string} file - File path
+ * @param {fs.Stats} stats - Stats of the file
+ */
+function assertPrivate(file, stats) {
+	if (process.platform === 'win32') {
+		return;
+	}
+	if (stats.mode & 0o077) {
+		const mode = (stats.mode & 0o777).toString(8);
+		throw new VaultError(`${file} is accessible by other users (mode ${mode}), run: chmod 600 ${file}`, undefined, ErrorCodes.ACCESS_DENIED);
+	}
+}
+
+function scrypt(secret, salt, params) {
+	return new Promise((resolve, reject) => {
+		// scrypt needs 128 * N * r bytes, leave headroom over the 32 MiB default
+		const maxmem = 256 * params.N * params.r;
+		crypto.scrypt(secret, salt, KEY_LENGTH, { ...params, maxmem }, (error, key) => {
+			if (error) reject(error);
+			else resolve(key);
+		});
+	});
+}
+
+function findEntry(entries, service, account) {
+	return entries.findIndex((entry) => entry.service === service && entry.account === account);
+}
+
+/**
+ * Create a provider storing secrets in a local encrypted vault file
+ * @param {Object} [options] - Vault options
+ * @param {string} [options.path] - Vault file path (TAEMNO_VAULT_PATH)
+ * @param {string} [options.passphrase] - Passphrase (TAEMNO_VAULT_PASSPHRASE)
+ * @param {string} [options.keyFile] - File holding the key material (TAEMNO_VAULT_KEY_FILE)
+ * @returns {Object} - Provider with set/get/exists/delete/list
+ */
+function createFileProvider(options = {}) {
+	const vaultPath = path.resolve(options.path || process.env.TAEMNO_VAULT_PATH || DEFAULT_VAULT_PATH);
+	const lockPath = `${vaultPath}.lock`;
+	const derivedKeys = new Map();
+
+	/**
+	 * Read the passphrase or key file contents used for key derivation.
+	 * Options come before the environment, the passphrase before the key file.
+	 * @returns {Promise<Buffer>} - Secret key material
+	 */
+	async function keyMaterial() {
+		const passphrase = options.passphrase || (options.keyFile ? undefined : process.env.TAEMNO_VAULT_PASSPHRASE);
+		if (passphrase) {
+			return Buffer.from(passphrase, 'utf8');
+		}
+
+		const keyFile = options.keyFile || process.env.TAEMNO_VAULT_KEY_FILE;
+		if (keyFile) {
+			let handle;
+			try {
+				handle = await fs.open(keyFile, 'r');
+				assertPrivate(keyFile, await handle.stat());
+				return await handle.readFile();
+			} catch (error) {
+				if (error instanceof VaultError) throw error;
+				throw new VaultError(`Failed to read vault key file: ${keyFile}`, error, ErrorCodes.PROVIDER_UNAVAILABLE);
+			} finally {
+				await handle?.close();
+			}
+		}
+
+		throw new VaultError('No vault passphrase configured, set TAEMNO_VAULT_PASSPHRASE or TAEMNO_VAULT_KEY_FILE', undefined, ErrorCodes.PROVIDER_UNAVAILABLE);
+	}
+
+	/**
+	 * Derive the vault key for the given KDF parameters, caching per salt
+	 * @param {Object} kdf - KDF header from the vault file
+	 * @returns {Promise<Buffer>} - Encryption key
+	 */
+	async function deriveKey(kdf) {
+		const cacheKey = `${kdf.salt}:${kdf.N}:${kdf.r}:${kdf.p}`;
+		if (!derivedKeys.has(cacheKey)) {
+			const key = await scrypt(await keyMaterial(), Buffer.from(kdf.salt, 'base64'), { N: kdf.N, r: kdf.r, p: kdf.p });
+			derivedKeys.set(cacheKey, key);
+		}
+		return derivedKeys.get(cacheKey);
+	}
+
+	/**
+	 * Read and decrypt the vault. A missing vault reads as empty.
+	 * @returns {Promise<Object>} - KDF header and decrypted entries ({ service, account, secret })
+	 */
+	async function readVault() {
+		let handle;
+		let contents;
+		try {
+			handle = await fs.open(vaultPath, 'r');
+			assertPrivate(vaultPath, await handle.stat());
+			contents = await handle.readFile('utf8');
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...SCRYPT_PARAMS };
+				return { kdf, entries: [] };
+			}
+			if (error instanceof VaultError) throw error;
+			throw new VaultError(`Failed to read vault: ${vaultPath}`, error, error.code === 'EACCES' ? ErrorCodes.ACCESS_DENIED : ErrorCodes.PROVIDER_UNAVAILABLE);
+		} finally {
+			await handle?.close();
+		}
+
+		let vault;
+		try {
+			vault = JSON.parse(contents);
+		} catch (error) {
+			throw new VaultError(`Vault file is corrupted: ${vaultPath}`, error);
+		}
+		if (vault.version !== VAULT_VERSION || vault.cipher !== CIPHER || vault.kdf?.name !== 'scrypt') {
+			throw new VaultError(`Unsupported vault format: ${vaultPath}`);
+		}
+
+		const key = await deriveKey(vault.kdf);
+		try {
+			const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(vault.iv, 'base64'));
+			decipher.setAAD(Buffer.from(JSON.stringify(vault.kdf)));
+			decipher.setAuthTag(Buffer.from(vault.tag, 'base64'));
+			const plaintext = Buffer.concat([decipher.update(Buffer.from(vault.data, 'base64')), decipher.final()]);
+			return { kdf: vault.kdf, entries: JSON.parse(plaintext.toString('utf8')).entries };
+		} catch (error) {
+			throw new VaultError('Failed to decrypt vault: wrong passphrase or corrupted file', error, ErrorCodes.ACCESS_DENIED);
+		}
+	}
+
+	/**
+	 * Encrypt and atomically replace the vault file
+	 * @param {Object} kdf - KDF header
+	 * @param {Array<Object>} entries - Secret entries
+	 */
+	async function writeVault(kdf, entries) {
+		const key = await deriveKey(kdf);
+		const iv = crypto.randomBytes(IV_LENGTH);
+		const cipher = crypto.createCipheriv(CIPHER, key, iv);
+		cipher.setAAD(Buffer.from(JSON.stringify(kdf)));
+		const data = Buffer.concat([cipher.update(JSON.stringify({ entries }), 'utf8'), cipher.final()]);
+
+		const vault = {
+			version: VAULT_VERSION,
+			cipher: CIPHER,
+			kdf,
+			iv: iv.toString('base64'),
+			tag: cipher.getAuthTag().toString('base64'),
+			data: data.toString('base64')
+		};
+
+		const tmpPath = `${vaultPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+		const handle = await fs.open(tmpPath, 'wx', 0o600);
+		try {
+			await handle.writeFile(JSON.stringify(vault, null, '\t') + '\n');
+			await handle.sync();
+		} finally {
+			await handle.close();
+		}
+
+		try {
+			await fs.rename(tmpPath, vaultPath);
+		} catch (error) {
+			await fs.unlink(tmpPath).catch(() => {});
+			throw new VaultError(`Failed to write vault: ${vaultPath}`, error);
+		}
+	}
+
+	/**
+	 * Run a read-modify-write cycle while holding the vault lock file
+	 * @param {Function} update - Receives entries, returns the operation result
+	 * @returns {Promise<*>} - Result of update
+	 */
+	async function withLock(update) {
+		await fs.mkdir(path.dirname(vaultPath), { recursive: true, mode: 0o700 });
+
+		let release;
+		try {
+			release = await acquireLock(lockPath, { timeout: LOCK_TIMEOUT, retryDelay: LOCK_RETRY_DELAY, staleAfter: LOCK_STALE_AFTER });
+		} catch (error) {
+			const message = error.code === 'ETIMEDOUT' ? 'Timed out waiting for vault lock' : 'Failed to lock vault';
+			throw new VaultError(`${message}: ${lockPath}`, error);
+		}
+
+		try {
+			const { kdf, entries } = await readVault();
+			const { result, changed } = update(entries);
+			if (changed) {
+				await writeVault(kdf, entries);
+			}
+			return result;
+		} finally {
+			await release();
+		}
+	}
+
+	/**
+	 * Store a secret in the vault
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @param {string} secret - Secret value to store
+	 * @returns {Promise<boolean>} - Success status
+	 */
+	async function set(service, account, secret) {
+		validateInputs(service, account);
+
+		return await withLock((entries) => {
+			const index = findEntry(entries, service, account);
+			const entry = { service, account, secret: String(secret) };
+			if (index === -1) entries.push(entry);
+			else entries[index] = entry;
+			return { result: true, changed: true };
+		});
+	}
+
+	/**
+	 * Retrieve a secret from the vault
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @returns {Promise<string>} - Retrieved secret
+	 */
+	async function get(service, account) {
+		validateInputs(service, account);
+
+		const { entries } = await readVault();
+		const index = findEntry(entries, service, account);
+		if (index === -1) {
+			throw new VaultError(`Secret not found: ${service}/${account}`, undefined, ErrorCodes.NOT_FOUND);
+		}
+		return entries[index].secret;
+	}
+
+	/**
+	 * Check if a secret exists in the vault
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @returns {Promise<boolean>} - True if secret exists
+	 */
+	async function exists(service, account) {
+		try {
+			await get(service, account);
+			return true;
+		} catch (error) {
+			// Anything but a missing entry is a real failure the caller should see
+			if (error.code === ErrorCodes.NOT_FOUND) return false;
+			throw error;
+		}
+	}
+
+	/**
+	 * Delete a secret from the vault
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @returns {Promise<boolean>} - True if a secret was removed
+	 */
+	async function deleteSecret(service, account) {
+		validateInputs(service, account);
+
+		return await withLock((entries) => {
+			const index = findEntry(entries, service, account);
+			if (index === -1) {
+				return { result: false, changed: false };
+			}
+			entries.splice(index, 1);
+			return { result: true, changed: true };
+		});
+	}
+
+	/**
+	 * List secrets in the vault
+	 * @param {string} [service] - Only list accounts of this service
+	 * @returns {Promise<Array<Object>>} - Items with service and account
+	 */
+	async function list(service = null) {
+		const { entries } = await readVault();
+		return entries
+			.filter((entry) => service === null || entry.service === service)
+			.map((entry) => ({ service: entry.service, account: entry.account }));
+	}
+
+	return {
+		set,
+		get,
+		exists,
+		delete: deleteSecret,
+		list,
+		path: vaultPath,
+		// A keychain is another vault file, opened with the same key material
+		withKeychain: (keychain) => createFileProvider({ ...options, path: keychain })
+	};
+}
+
+const defaultProvider = createFileProvider();
+
+module.exports = {
+	createFileProvider,
+	set: defaultProvider.set,
+	get: defaultProvider.get,
+	exists: defaultProvider.exists,
+	delete: defaultProvider.delete,
+	list: defaultProvider.list,
+	path: defaultProvider.path,
+	withKeychain: defaultProvider.withKeychain
+};
@@ -1,30 +1,128 @@
 /**
- * Provider selector for different operating systems
+ * Provider registry mapping reference schemes to secret providers
  */
 const os = require("os");
+const { ErrorCodes, TaemnoError } = require("../errors.js");
 
-// Import platform-specific providers
-const darwinProvider = require("./darwin.js");
-// const linuxProvider = require("./linux.js");
-// const win32Provider = require("./win32.js");
-
-// Determine the current platform
-const platform = os.platform();
-
-// Select appropriate provider based on the platform
-let provider;
-switch (platform) {
-	case "darwin":
-		provider = darwinProvider;
-		break;
-	case "linux":
-		provider = linuxProvider;
-		break;
-	case "win32":
-		provider = win32Provider;
-		break;
-	default:
-		throw new Error(`Unsupported platform: ${platform}`);
-}
-
-module.exports = provider;
\ No newline at end of file
+// Built-in providers, loaded on first use so one backend's dependencies
+// never affect another platform
+const builtins = {
+	os: platformProvider,
+	file: () => require("./file.js"),
+	team: () => require("./team.js")
+};
+
+const registry = new Map();
+
+// Schemes whose registry entry is the built-in provider
+const loadedBuiltins = new Set();
+
+/**
+ * Select the provider for the current platform. TAEMNO_PROVIDER=file selects
+ * the encrypted vault instead, for machines without a keychain daemon.
+ * @returns {Object} - Platform provider
+ */
+function platformProvider() {
+	const platform = os.platform();
+
+	switch (process.env.TAEMNO_PROVIDER === "file" ? "file" : platform) {
+		case "file":
+			return require("./file.js");
+		case "darwin":
+			return require("./darwin.js");
+		case "linux":
+			return require("./linux.js");
+		// case "win32":
+		// 	return require("./win32.js");
+		default:
+			throw new TaemnoError(`Unsupported platform: ${platform}`, ErrorCodes.PROVIDER_UNAVAILABLE);
+	}
+}
+
+/**
+ * Check that a scheme is a valid URI scheme name
+ * @param {string} scheme - Scheme without "://"
+ */
+function validateScheme(scheme) {
+	if (typeof scheme !== "string" || !/^[a-z][a-z0-9+.-]*$/.test(scheme)) {
+		throw new Error(`Invalid provider scheme: ${scheme}`);
+	}
+}
+
+/**
+ * Check that an object implements the provider contract
+ * @param {Object} provider - Provider implementation
+ */
+function validateProvider(provider) {
+	for (const method of ["set", "get", "exists", "delete"]) {
+		if (typeof provider?.[method] !== "function") {
+			throw new Error(`Provider must implement ${method}()`);
+		}
+	}
+}
+
+/**
+ * Register a provider for references using the given scheme
+ * @param {string} scheme - Scheme without "://", e.g. "file"
+ * @param {Object} provider - Object implementing set/get/exists/delete
+ */
+function registerProvider(scheme, provider) {
+	validateScheme(scheme);
+	validateProvider(provider);
+	registry.set(scheme, provider);
+	loadedBuiltins.delete(scheme);
+}
+
+/**
+ * Remove a registered provider. Built-in schemes fall back to their default.
+ * @param {string} scheme - Scheme without "://"
+ * @returns {boolean} - True if a provider was registered
+ */
+function unregisterProvider(scheme) {
+	loadedBuiltins.delete(scheme);
+	return registry.delete(scheme);
+}
+
+/**
+ * Look up the provider for a scheme
+ * @param {string} scheme - Scheme without "://"
+ * @returns {Object} - Provider implementation
+ */
+function getProvider(scheme) {
+	if (!registry.has(scheme)) {
+		if (!Object.hasOwn(builtins, scheme)) {
+			throw new TaemnoError(`No provider registered for ${scheme}://`, ErrorCodes.PROVIDER_UNAVAILABLE);
+		}
+		registry.set(scheme, builtins[scheme]());
+		loadedBuiltins.add(scheme);
+	}
+	return registry.get(scheme);
+}
+
+/**
+ * Check whether a scheme resolves to its built-in provider, which another
+ * process can load as well
+ * @param {string} scheme - Scheme without "://"
+ * @returns {boolean} - True if no provider replaces the built-in one
+ */
+function isBuiltin(scheme) {
+	return Object.hasOwn(builtins, scheme) && (!registry.has(scheme) || loadedBuiltins.has(scheme));
+}
+
+/**
+ * List schemes that can be resolved
+ * @returns {Array<string>} - Registered and built-in schemes
+ */
+function listSchemes() {
+	return [...new Set([...Object.keys(builtins), ...registry.keys()])];
+}
+
+module.exports = {
+	registerProvider,
+	unregisterProvider,
+	getProvider,
+	isBuiltin,
+	listSchemes,
+	validateScheme,
+	validateProvider
+};
@@ -0,0 +1,306 @@
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { ErrorCodes, TaemnoError } = require('../errors.js');
+
+// Overridable so tests (and unusual installs) can point at a different binary
+const SECRET_TOOL_COMMAND = process.env.TAEMNO_SECRET_TOOL || 'secret-tool';
+
+// Lists items over D-Bus, which reads attributes without unlocking or reading any secret
+const BUSCTL_COMMAND = process.env.TAEMNO_BUSCTL || 'busctl';
+
+const SECRET_SERVICE = ['org.freedesktop.secrets', '/org/freedesktop/secrets', 'org.freedesktop.Secret.Service'];
+
+class SecretServiceError extends TaemnoError {
+	constructor(message, originalError, code) {
+		super(message, code, originalError);
+		this.name = 'SecretServiceError';
+	}
+}
+
+class InvalidInputError extends SecretServiceError {
+	constructor(message) {
+		super(message, undefined, ErrorCodes.MALFORMED_REFERENCE);
+		this.name = 'InvalidInputError';
+	}
+}
+
+/**
+ * Map secret-tool's diagnostics to an error code
+ * @param {string} stderr - secret-tool error output
+ * @returns {string} - One of ErrorCodes
+ */
+function errorCode(stderr) {
+	if (/dismissed|locked|not authorized|denied/i.test(stderr)) return ErrorCodes.ACCESS_DENIED;
+	if (/d-bus|dbus|autolaunch|ServiceUnknown|no such secret collection/i.test(stderr)) return ErrorCodes.PROVIDER_UNAVAILABLE;
+	return ErrorCodes.PROVIDER_ERROR;
+}
+
+/**
+ * Validate inputs before handing them to secret-tool. Arguments are passed
+ * through execve without a shell, so only reject what argv cannot carry.
+ * @param {string} input - Input string to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function isValidInput(input) {
+	return typeof input === 'string' && input.length > 0 && [...input].length <= 255 && !input.includes('\0');
+}
+
+function validateInputs(service, account) {
+	if (!isValidInput(service)) {
+		throw new InvalidInputError('Invalid service name');
+	}
+	if (!isValidInput(account)) {
+		throw new InvalidInputError('Invalid account name');
+	}
+}
+
+/**
+ * Build the attribute list identifying a secret. Uses the same attribute
+ * names as libsecret-based tools such as keytar, so items are shared.
+ * A leading "--" keeps names starting with "-" from being read as options.
+ * @param {string} service - Service identifier
+ * @param {string} account - Account identifier
+ * @returns {Array<string>} - secret-tool attribute arguments
+ */
+function attributes(service, account) {
+	return ['--', 'service', service, 'account', account];
+}
+
+/**
+ * Run a command and collect its output
+ * @param {string} command - Program to run
+ * @param {Array<string>} args - Command arguments
+ * @param {Object} [options] - Run options
+ * @param {string} [options.input] - Data to write to stdin
+ * @param {Function} [options.onLine] - Receives stdout line by line instead of collecting it
+ * @returns {Promise<Object>} - Exit code, stdout and stderr
+ */
+function runCommand(command, args, options = {}) {
+	const { input, onLine } = options;
+	return new Promise((resolve, reject) => {
+		const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+		const stdout = [];
+		const stderr = [];
+
+		if (onLine) {
+			readline.createInterface({ input: child.stdout, crlfDelay: Infinity }).on('line', onLine);
+		} else {
+			child.stdout.on('data', (chunk) => stdout.push(chunk));
+		}
+		child.stderr.on('data', (chunk) => stderr.push(chunk));
+		child.on('error', (error) => {
+			if (error.code === 'ENOENT') {
+				const hint = command === SECRET_TOOL_COMMAND ? ', install libsecret-tools' : '';
+				reject(new SecretServiceError(`${command} is not installed${hint}`, error, ErrorCodes.PROVIDER_UNAVAILABLE));
+			} else {
+				reject(new SecretServiceError(`Failed to run ${command}`, error, ErrorCodes.PROVIDER_UNAVAILABLE));
+			}
+		});
+		child.on('close', (code) => {
+			resolve({
+				code,
+				stdout: Buffer.concat(stdout).toString('utf8'),
+				stderr: Buffer.concat(stderr).toString('utf8').trim()
+			});
+		});
+
+		// The command may exit before reading stdin (e.g. no D-Bus session)
+		child.stdin.on('error', () => {});
+		if (input !== undefined) {
+			child.stdin.write(input);
+		}
+		child.stdin.end();
+	});
+}
+
+/**
+ * Run secret-tool and collect its output
+ * @param {Array<string>} args - Command arguments
+ * @param {string} [input] - Data to write to stdin
+ * @returns {Promise<Object>} - Exit code, stdout and stderr
+ */
+function runSecretTool(args, input) {
+	return runCommand(SECRET_TOOL_COMMAND, args, { input });
+}
+
+/**
+ * Store a secret in the Secret Service
+ * @param {string} service - Service identifier
+ * @param {string} account - Account identifier
+ * @param {string} secret - Secret value to store
+ * @returns {Promise<boolean>} - Success status
+ */
+async function set(service, account, secret) {
+	validateInputs(service, account);
+
+	const args = ['store', `--label=${service}/${account}`, ...attributes(service, account)];
+	const { code, stderr } = await runSecretTool(args, secret);
+
+	if (code !== 0) {
+		throw new SecretServiceError('Failed to store secret', new Error(stderr || `secret-tool failed with code ${code}`), errorCode(stderr));
+	}
+	return true;
+}
+
+/**
+ * Retrieve a secret from the Secret Service
+ * @param {string} service - Service identifier
+ * @param {string} account - Account identifier
+ * @returns {Promise<string>} - Retrieved secret
+ */
+async function get(service, account) {
+	validateInputs(service, account);
+
+	const { code, stdout, stderr } = await runSecretTool(['lookup', ...attributes(service, account)]);
+
+	// lookup exits 1 with empty output when nothing matches
+	if (code !== 0 && !stderr) {
+		throw new SecretServiceError(`Secret not found: ${service}/${account}`, undefined, ErrorCodes.NOT_FOUND);
+	}
+	if (code !== 0) {
+		throw new SecretServiceError(`Failed to retrieve secret: ${service}/${account}`, new Error(stderr), errorCode(stderr));
+	}
+	return stdout;
+}
+
+/**
+ * Check if a secret exists in the Secret Service
+ * @param {string} service - Service identifier
+ * @param {string} account - Account identifier
+ * @returns {Promise<boolean>} - True if secret exists
+ */
+async function exists(service, account) {
+	try {
+		await get(service, account);
+		return true;
+	} catch (error) {
+		// Anything but a missing item is a real failure the caller should see
+		if (error.code === ErrorCodes.NOT_FOUND) return false;
+		throw error;
+	}
+}
+
+/**
+ * Delete a secret from the Secret Service
+ * @param {string} service - Service identifier
+ * @param {string} account - Account identifier
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deleteSecret(service, account) {
+	validateInputs(service, account);
+
+	try {
+		const { code } = await runSecretTool(['clear', ...attributes(service, account)]);
+		return code === 0;
+	} catch (error) {
+		return false;
+	}
+}
+
+/**
+ * Call busctl on the user bus and parse its JSON answer
+ * @param {Array<string>} args - busctl command and arguments
+ * @returns {Promise<*>} - data of the reply
+ */
+async function busctl(args) {
+	// "--" keeps names starting with "-" from being read as options
+	const { code, stdout, stderr } = await runCommand(BUSCTL_COMMAND, ['--user', '--json=short', '--', ...args]);
+	if (code !== 0) {
+		throw new SecretServiceError('Failed to list secrets', new Error(stderr || `busctl failed with code ${code}`), errorCode(stderr));
+	}
+	return JSON.parse(stdout).data;
+}
+
+/**
+ * List items through the Secret Service D-Bus API. Attributes of locked
+ * items are readable too, so nothing is unlocked and no value is read.
+ * @param {Array<string>} filter - Attribute names and values
+ * @returns {Promise<Array<Object>>} - Items with service and account
+ */
+async function listAttributes(filter) {
+	const [unlocked, locked] = await busctl(['call', ...SECRET_SERVICE, 'SearchItems', 'a{ss}', String(filter.length / 2), ...filter]);
+
+	const items = [];
+	for (const itemPath of [...unlocked, ...locked]) {
+		const attributes = await busctl(['get-property', SECRET_SERVICE[0], itemPath, 'org.freedesktop.Secret.Item', 'Attributes']);
+		if (typeof attributes.service === 'string' && typeof attributes.account === 'string') {
+			items.push({ service: attributes.service, account: attributes.account });
+		}
+	}
+	return items;
+}
+
+/**
+ * List items with secret-tool search, for systems without busctl. search
+ * always unlocks and prints secret values; their lines are dropped as they
+ * arrive and never collected.
+ * @param {Array<string>} filter - Attribute names and values
+ * @returns {Promise<Array<Object>>} - Items with service and account
+ */
+async function listSearch(filter) {
+	const items = [];
+	let current = null;
+	let inSecret = false;
+
+	const finish = () => {
+		if (current && current.service !== undefined && current.account !== undefined) {
+			items.push({ service: current.service, account: current.account });
+		}
+	};
+
+	const onLine = (line) => {
+		if (/^\[.*\]$/.test(line)) {
+			finish();
+			current = {};
+			inSecret = false;
+			return;
+		}
+		// A multi-line secret continues until the next field
+		if (line.startsWith('secret = ') || (inSecret && !/^(?:created|modified|schema|attribute\.[^ ]+) = /.test(line))) {
+			inSecret = true;
+			return;
+		}
+		inSecret = false;
+
+		const attribute = /^attribute\.(service|account) = (.*)$/.exec(line);
+		if (attribute && current) {
+			current[attribute[1]] = attribute[2];
+		}
+	};
+
+	const { code, stderr } = await runCommand(SECRET_TOOL_COMMAND, ['search', '--all', '--', ...filter], { onLine });
+	if (code !== 0 && stderr) {
+		throw new SecretServiceError('Failed to list secrets', new Error(stderr), errorCode(stderr));
+	}
+	finish();
+
+	return items;
+}
+
+/**
+ * List secrets in the Secret Service
+ * @param {string} [service] - Only list accounts of this service
+ * @returns {Promise<Array<Object>>} - Items with service and account
+ */
+async function list(service = null) {
+	if (service !== null && !isValidInput(service)) {
+		throw new InvalidInputError('Invalid service name');
+	}
+
+	// Searching needs at least one attribute; every item stored by set has the generic schema
+	const filter = service === null ? ['xdg:schema', 'org.freedesktop.Secret.Generic'] : ['service', service];
+	try {
+		return await listAttributes(filter);
+	} catch (error) {
+		if (error.originalError?.code !== 'ENOENT') throw error;
+		return await listSearch(filter);
+	}
+}
+
+module.exports = {
+	set,
+	get,
+	exists,
+	delete: deleteSecret,
+	list
+};
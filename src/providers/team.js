@@ -0,0 +1,504 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { ErrorCodes, TaemnoError, classifyError } = require('../errors.js');
+const { acquireLock, writeFileAtomic } = require('../utility.js');
+
+// Committed alongside the code, so the path is relative to the project
+const DEFAULT_TEAM_PATH = path.join('.taemno', 'secrets.enc.json');
+const TEAM_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const WRAP_INFO = 'taemno-team-v1';
+const IDENTITY_SERVICE = 'taemno-team';
+const IDENTITY_ACCOUNT = 'identity';
+const RECIPIENT_NAME_PATTERN = /^[^\s\0]{1,255}$/;
+const LOCK_TIMEOUT = 5000;
+const LOCK_RETRY_DELAY = 50;
+const LOCK_STALE_AFTER = 30000;
+
+class TeamError extends TaemnoError {
+	constructor(message, originalError, code) {
+		super(message, code, originalError);
+		this.name = 'TeamError';
+	}
+}
+
+class InvalidInputError extends TeamError {
+	constructor(message) {
+		super(message, undefined, ErrorCodes.MALFORMED_REFERENCE);
+		this.name = 'InvalidInputError';
+	}
+}
+
+/**
+ * Validate service and account names
+ * @param {string} input - Input string to validate
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function isValidInput(input) {
+	return typeof input === 'string' && input.length > 0 && [...input].length <= 255;
+}
+
+function validateInputs(service, account) {
+	if (!isValidInput(service)) {
+		throw new InvalidInputError('Invalid service name');
+	}
+	if (!isValidInput(account)) {
+		throw new InvalidInputError('Invalid account name');
+	}
+}
+
+/**
+ * Import a recipient's public key
+ * @param {string} publicKey - Raw X25519 public key, base64url encoded
+ * @returns {KeyObject} - Public key
+ */
+function importPublicKey(publicKey) {
+	if (typeof publicKey !== 'string' || !/^[A-Za-z0-9_-]{43}$/.test(publicKey)) {
+		throw new TeamError('Invalid public key, expected 43 base64url characters', undefined, ErrorCodes.INVALID_VALUE);
+	}
+	return crypto.createPublicKey({ key: { kty: 'OKP', crv: 'X25519', x: publicKey }, format: 'jwk' });
+}
+
+/**
+ * Encode a public key the way recipients are listed
+ * @param {KeyObject} key - X25519 public or private key
+ * @returns {string} - Raw public key, base64url encoded
+ */
+function encodePublicKey(key) {
+	const publicKey = key.type === 'private' ? crypto.createPublicKey(key) : key;
+	return publicKey.export({ format: 'jwk' }).x;
+}
+
+/**
+ * Derive the key wrapping a file key for one recipient
+ * @param {Buffer} shared - X25519 shared secret
+ * @param {string} ephemeral - Ephemeral public key
+ * @param {string} publicKey - Recipient public key
+ * @returns {Buffer} - Wrapping key
+ */
+function wrappingKey(shared, ephemeral, publicKey) {
+	return Buffer.from(crypto.hkdfSync('sha256', shared, `${ephemeral}${publicKey}`, WRAP_INFO, KEY_LENGTH));
+}
+
+/**
+ * Encrypt with AES-256-GCM
+ * @param {Buffer} key - Encryption key
+ * @param {Buffer|string} plaintext - Data to encrypt
+ * @param {string} aad - Associated data the ciphertext is bound to
+ * @returns {Object} - Base64 iv, tag and data
+ */
+function encrypt(key, plaintext, aad) {
+	const iv = crypto.randomBytes(IV_LENGTH);
+	const cipher = crypto.createCipheriv(CIPHER, key, iv);
+	cipher.setAAD(Buffer.from(aad));
+	const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+	return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+/**
+ * Decrypt AES-256-GCM output of encrypt()
+ * @param {Buffer} key - Encryption key
+ * @param {Object} sealed - Base64 iv, tag and data
+ * @param {string} aad - Associated data the ciphertext is bound to
+ * @returns {Buffer} - Plaintext
+ */
+function decrypt(key, sealed, aad) {
+	const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(sealed.iv, 'base64'));
+	decipher.setAAD(Buffer.from(aad));
+	decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+	return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]);
+}
+
+/**
+ * Encrypt the file key to a recipient with an ephemeral X25519 key pair
+ * @param {Buffer} fileKey - Key the secrets are encrypted with
+ * @param {string} name - Recipient name
+ * @param {string} publicKey - Recipient public key
+ * @returns {Object} - Recipient entry
+ */
+function wrapFileKey(fileKey, name, publicKey) {
+	const ephemeral = crypto.generateKeyPairSync('x25519');
+	const ephemeralKey = encodePublicKey(ephemeral.publicKey);
+	const shared = crypto.diffieHellman({ privateKey: ephemeral.privateKey, publicKey: importPublicKey(publicKey) });
+	const { iv, tag, data } = encrypt(wrappingKey(shared, ephemeralKey, publicKey), fileKey, publicKey);
+	return { name, publicKey, ephemeral: ephemeralKey, iv, tag, key: data };
+}
+
+/**
+ * Recover the file key with our private key
+ * @param {Object} recipient - Our recipient entry
+ * @param {KeyObject} privateKey - Our private key
+ * @returns {Buffer} - File key
+ */
+function unwrapFileKey(recipient, privateKey) {
+	const shared = crypto.diffieHellman({ privateKey, publicKey: importPublicKey(recipient.ephemeral) });
+	const key = wrappingKey(shared, recipient.ephemeral, recipient.publicKey);
+	return decrypt(key, { iv: recipient.iv, tag: recipient.tag, data: recipient.key }, recipient.publicKey);
+}
+
+/**
+ * Associated data binding a secret to its name, so entries cannot be swapped
+ * @param {string} service - Service identifier
+ * @param {string} account - Account identifier
+ * @returns {string} - Associated data
+ */
+function secretAad(service, account) {
+	return JSON.stringify([service, account]);
+}
+
+function findEntry(entries, service, account) {
+	return entries.findIndex((entry) => entry.service === service && entry.account === account);
+}
+
+/**
+ * Create a provider reading secrets from a team file, where every secret is
+ * encrypted with a file key that is itself encrypted to each recipient's
+ * X25519 public key. The private key of this machine's user is kept in the
+ * keychain.
+ * @param {Object} [options] - Team file options
+ * @param {string} [options.path] - Team file path (TAEMNO_TEAM_FILE, default .taemno/secrets.enc.json)
+ * @param {Object} [options.keychain] - Provider holding the private key (defaults to os://)
+ * @returns {Object} - Provider with set/get/exists/delete/list and recipient management
+ */
+function createTeamProvider(options = {}) {
+	// Resolved on each call, since the default is relative to the working directory
+	const teamPath = () => path.resolve(options.path || process.env.TAEMNO_TEAM_FILE || DEFAULT_TEAM_PATH);
+
+	function keychain() {
+		return options.keychain || require('./index.js').getProvider('os');
+	}
+
+	/**
+	 * Read this user's private key from the keychain, optionally creating it
+	 * @param {boolean} [create] - Generate and store a key pair if there is none
+	 * @returns {Promise<Object>} - Private key, and whether it was created
+	 */
+	async function readIdentity(create = false) {
+		let encoded;
+		try {
+			encoded = await keychain().get(IDENTITY_SERVICE, IDENTITY_ACCOUNT);
+		} catch (error) {
+			if (classifyError(error) !== ErrorCodes.NOT_FOUND) {
+				throw new TeamError('Failed to read team identity from the keychain', error, ErrorCodes.PROVIDER_UNAVAILABLE);
+			}
+		}
+
+		if (encoded) {
+			return { privateKey: crypto.createPrivateKey({ key: Buffer.from(encoded, 'base64'), format: 'der', type: 'pkcs8' }), created: false };
+		}
+		if (!create) {
+			throw new TeamError('No team identity in the keychain, create one with "taemno-os identity"', undefined, ErrorCodes.PROVIDER_UNAVAILABLE);
+		}
+
+		const { privateKey } = crypto.generateKeyPairSync('x25519');
+		await keychain().set(IDENTITY_SERVICE, IDENTITY_ACCOUNT, privateKey.export({ format: 'der', type: 'pkcs8' }).toString('base64'));
+		return { privateKey, created: true };
+	}
+
+	/**
+	 * Read the team file
+	 * @returns {Promise<Object|null>} - Parsed file, null if it does not exist
+	 */
+	async function readTeamFile() {
+		const file = teamPath();
+		let contents;
+		try {
+			contents = await fs.readFile(file, 'utf8');
+		} catch (error) {
+			if (error.code === 'ENOENT') return null;
+			throw new TeamError(`Failed to read team file: ${file}`, error, error.code === 'EACCES' ? ErrorCodes.ACCESS_DENIED : ErrorCodes.PROVIDER_UNAVAILABLE);
+		}
+
+		let team;
+		try {
+			team = JSON.parse(contents);
+		} catch (error) {
+			throw new TeamError(`Team file is corrupted: ${file}`, error);
+		}
+		if (team.version !== TEAM_VERSION || team.cipher !== CIPHER || !Array.isArray(team.recipients) || !Array.isArray(team.secrets)) {
+			throw new TeamError(`Unsupported team file format: ${file}`);
+		}
+		return team;
+	}
+
+	/**
+	 * Decrypt the file key of a team file with this user's private key
+	 * @param {Object} team - Parsed team file
+	 * @returns {Promise<Buffer>} - File key
+	 */
+	async function fileKey(team) {
+		const { privateKey } = await readIdentity();
+		const publicKey = encodePublicKey(privateKey);
+		const recipient = team.recipients.find((entry) => entry.publicKey === publicKey);
+		if (!recipient) {
+			throw new TeamError(`Not a recipient of ${teamPath()}, ask a team member to grant access to ${publicKey}`, undefined, ErrorCodes.ACCESS_DENIED);
+		}
+		try {
+			return unwrapFileKey(recipient, privateKey);
+		} catch (error) {
+			throw new TeamError(`Failed to decrypt team file key: ${teamPath()}`, error, ErrorCodes.ACCESS_DENIED);
+		}
+	}
+
+	/**
+	 * Decrypt one secret entry
+	 * @param {Buffer} key - File key
+	 * @param {Object} entry - Secret entry
+	 * @returns {Buffer} - Secret value
+	 */
+	function openSecret(key, entry) {
+		try {
+			return decrypt(key, entry, secretAad(entry.service, entry.account));
+		} catch (error) {
+			throw new TeamError(`Failed to decrypt ${entry.service}/${entry.account} from team file: ${teamPath()}`, error);
+		}
+	}
+
+	/**
+	 * Write the team file with entries sorted, so changes diff cleanly
+	 * @param {Object} team - Team file contents
+	 */
+	async function writeTeamFile(team) {
+		team.recipients.sort((a, b) => a.name.localeCompare(b.name));
+		team.secrets.sort((a, b) => a.service.localeCompare(b.service) || a.account.localeCompare(b.account));
+		try {
+			await writeFileAtomic(teamPath(), JSON.stringify(team, null, '\t') + '\n', 0o644);
+		} catch (error) {
+			throw new TeamError(`Failed to write team file: ${teamPath()}`, error);
+		}
+	}
+
+	/**
+	 * Run a read-modify-write cycle while holding the team file lock
+	 * @param {Function} update - Receives the parsed file (null if missing), returns the result
+	 * @returns {Promise<*>} - Result of update
+	 */
+	async function withLock(update) {
+		const file = teamPath();
+		await fs.mkdir(path.dirname(file), { recursive: true });
+
+		let release;
+		try {
+			release = await acquireLock(`${file}.lock`, { timeout: LOCK_TIMEOUT, retryDelay: LOCK_RETRY_DELAY, staleAfter: LOCK_STALE_AFTER });
+		} catch (error) {
+			const message = error.code === 'ETIMEDOUT' ? 'Timed out waiting for team file lock' : 'Failed to lock team file';
+			throw new TeamError(`${message}: ${file}.lock`, error);
+		}
+
+		try {
+			return await update(await readTeamFile());
+		} finally {
+			await release();
+		}
+	}
+
+	/**
+	 * Read the team file, failing if there is none
+	 * @param {Object|null} team - Parsed team file
+	 * @returns {Object} - The same file
+	 */
+	function requireTeam(team) {
+		if (!team) {
+			throw new TeamError(`No team file at ${teamPath()}, add a recipient with "taemno-os grant" first`, undefined, ErrorCodes.PROVIDER_UNAVAILABLE);
+		}
+		return team;
+	}
+
+	/**
+	 * Store a secret in the team file
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @param {string} secret - Secret value to store
+	 * @returns {Promise<boolean>} - Success status
+	 */
+	async function set(service, account, secret) {
+		validateInputs(service, account);
+
+		return await withLock(async (current) => {
+			const team = requireTeam(current);
+			const entry = { service, account, ...encrypt(await fileKey(team), String(secret), secretAad(service, account)) };
+			const index = findEntry(team.secrets, service, account);
+			if (index === -1) team.secrets.push(entry);
+			else team.secrets[index] = entry;
+			await writeTeamFile(team);
+			return true;
+		});
+	}
+
+	/**
+	 * Retrieve a secret from the team file
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @returns {Promise<string>} - Retrieved secret
+	 */
+	async function get(service, account) {
+		validateInputs(service, account);
+
+		const team = await readTeamFile();
+		const index = team ? findEntry(team.secrets, service, account) : -1;
+		if (index === -1) {
+			throw new TeamError(`Secret not found: ${service}/${account}`, undefined, ErrorCodes.NOT_FOUND);
+		}
+
+		return openSecret(await fileKey(team), team.secrets[index]).toString('utf8');
+	}
+
+	/**
+	 * Check if a secret exists in the team file. Needs no private key.
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @returns {Promise<boolean>} - True if secret exists
+	 */
+	async function exists(service, account) {
+		validateInputs(service, account);
+
+		const team = await readTeamFile();
+		return team !== null && findEntry(team.secrets, service, account) !== -1;
+	}
+
+	/**
+	 * Delete a secret from the team file
+	 * @param {string} service - Service identifier
+	 * @param {string} account - Account identifier
+	 * @returns {Promise<boolean>} - True if a secret was removed
+	 */
+	async function deleteSecret(service, account) {
+		validateInputs(service, account);
+
+		return await withLock(async (team) => {
+			const index = team ? findEntry(team.secrets, service, account) : -1;
+			if (index === -1) {
+				return false;
+			}
+			team.secrets.splice(index, 1);
+			await writeTeamFile(team);
+			return true;
+		});
+	}
+
+	/**
+	 * List secrets in the team file
+	 * @param {string} [service] - Only list accounts of this service
+	 * @returns {Promise<Array<Object>>} - Items with service and account
+	 */
+	async function list(service = null) {
+		const team = await readTeamFile();
+		return (team?.secrets || [])
+			.filter((entry) => service === null || entry.service === service)
+			.map((entry) => ({ service: entry.service, account: entry.account }));
+	}
+
+	/**
+	 * Public key of this user, creating the key pair on first use
+	 * @returns {Promise<Object>} - Public key, and whether the key pair was just created
+	 */
+	async function identity() {
+		const { privateKey, created } = await readIdentity(true);
+		return { publicKey: encodePublicKey(privateKey), created };
+	}
+
+	/**
+	 * Give a team member access to every secret in the file. The first grant
+	 * creates the file and must be to this user's own key, or nobody able to
+	 * run it could manage the file afterwards.
+	 * @param {string} name - Recipient name
+	 * @param {string} publicKey - Recipient public key, as printed by identity()
+	 * @returns {Promise<boolean>} - True if the file was created
+	 */
+	async function grant(name, publicKey) {
+		if (typeof name !== 'string' || !RECIPIENT_NAME_PATTERN.test(name)) {
+			throw new TeamError('Invalid recipient name', undefined, ErrorCodes.INVALID_VALUE);
+		}
+		importPublicKey(publicKey);
+
+		return await withLock(async (team) => {
+			if (!team) {
+				const { privateKey } = await readIdentity();
+				if (encodePublicKey(privateKey) !== publicKey) {
+					throw new TeamError('The first recipient must be you, grant your own key from "taemno-os identity" first', undefined, ErrorCodes.INVALID_VALUE);
+				}
+				const key = crypto.randomBytes(KEY_LENGTH);
+				await writeTeamFile({ version: TEAM_VERSION, cipher: CIPHER, recipients: [wrapFileKey(key, name, publicKey)], secrets: [] });
+				return true;
+			}
+
+			const other = team.recipients.find((entry) => entry.publicKey === publicKey && entry.name !== name);
+			if (other) {
+				throw new TeamError(`Public key already belongs to ${other.name}`, undefined, ErrorCodes.INVALID_VALUE);
+			}
+			const entry = wrapFileKey(await fileKey(team), name, publicKey);
+			team.recipients = [...team.recipients.filter((recipient) => recipient.name !== name), entry];
+			await writeTeamFile(team);
+			return false;
+		});
+	}
+
+	/**
+	 * Remove a team member. Every secret is re-encrypted with a new file key,
+	 * so later changes are unreadable to them; values they could already read
+	 * remain in version control history and should be rotated.
+	 * @param {string} name - Recipient name
+	 * @returns {Promise<number>} - Number of secrets re-encrypted
+	 */
+	async function revoke(name) {
+		return await withLock(async (current) => {
+			const team = requireTeam(current);
+			if (!team.recipients.some((entry) => entry.name === name)) {
+				throw new TeamError(`Not a recipient: ${name}`, undefined, ErrorCodes.NOT_FOUND);
+			}
+			const remaining = team.recipients.filter((entry) => entry.name !== name);
+			if (remaining.length === 0) {
+				throw new TeamError('Cannot revoke the last recipient', undefined, ErrorCodes.INVALID_VALUE);
+			}
+
+			const oldKey = await fileKey(team);
+			const newKey = crypto.randomBytes(KEY_LENGTH);
+			team.secrets = team.secrets.map((entry) => {
+				const { service, account } = entry;
+				return { service, account, ...encrypt(newKey, openSecret(oldKey, entry), secretAad(service, account)) };
+			});
+			team.recipients = remaining.map((entry) => wrapFileKey(newKey, entry.name, entry.publicKey));
+			await writeTeamFile(team);
+			return team.secrets.length;
+		});
+	}
+
+	/**
+	 * List the team members who can read the file
+	 * @returns {Promise<Array<Object>>} - Recipients with name and publicKey, sorted by name
+	 */
+	async function recipients() {
+		const team = await readTeamFile();
+		return (team?.recipients || []).map(({ name, publicKey }) => ({ name, publicKey }));
+	}
+
+	return {
+		set,
+		get,
+		exists,
+		delete: deleteSecret,
+		list,
+		identity,
+		grant,
+		revoke,
+		recipients
+	};
+}
+
+const defaultProvider = createTeamProvider();
+
+module.exports = {
+	createTeamProvider,
+	set: defaultProvider.set,
+	get: defaultProvider.get,
+	exists: defaultProvider.exists,
+	delete: defaultProvider.delete,
+	list: defaultProvider.list,
+	identity: defaultProvider.identity,
+	grant: defaultProvider.grant,
+	revoke: defaultProvider.revoke,
+	recipients: defaultProvider.recipients
+};
@@ -0,0 +1,189 @@
+/**
+ * Masking of resolved secrets in logs and process output
+ *
+ * A secret is masked as written and in the forms it typically takes when
+ * an app logs its config: base64, base64url, URL-encoded and JSON-escaped.
+ * Multi-line secrets are also masked line by line. Encoded forms are only
+ * found on their own, not when the secret is part of a larger encoded value.
+ */
+const { Transform } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const { escapeRegExp } = require("./utility.js");
+
+const DEFAULT_MASK = "***";
+
+// Shorter values would mask ordinary words and numbers
+const DEFAULT_MIN_LENGTH = 4;
+
+// Milliseconds text held back by a stream waits for more before it is
+// written anyway, so a prompt without a newline still shows up
+const DEFAULT_IDLE_FLUSH = 50;
+
+/**
+ * Forms of a secret that may show up in output
+ * @param {string} value - Secret value
+ * @returns {Array<string>} - Value, its lines and their encoded forms
+ */
+function redactionVariants(value) {
+	const plain = new Set([value, value.trim()]);
+	for (const line of value.split(/\r?\n/)) {
+		plain.add(line.trim());
+	}
+
+	const variants = new Set();
+	for (const text of plain) {
+		const base64 = Buffer.from(text, "utf8").toString("base64");
+		variants.add(text);
+		variants.add(base64);
+		variants.add(base64.replace(/=+$/, ""));
+		variants.add(Buffer.from(text, "utf8").toString("base64url"));
+		variants.add(encodeURIComponent(text));
+		variants.add(JSON.stringify(text).slice(1, -1));
+	}
+	return [...variants];
+}
+
+/**
+ * Set of secret values to mask
+ */
+class Redactor {
+	/**
+	 * @param {Object} [options] - Redaction options
+	 * @param {string} [options.mask] - Replacement for each secret (default "***")
+	 * @param {number} [options.minLength] - Values and forms shorter than this are not masked (default 4)
+	 * @param {number} [options.idleFlush] - Milliseconds a stream holds back the possible start
+	 * of a secret while no more text arrives (default 50)
+	 */
+	constructor(options = {}) {
+		const { mask = DEFAULT_MASK, minLength = DEFAULT_MIN_LENGTH, idleFlush = DEFAULT_IDLE_FLUSH } = options;
+		this.mask = mask;
+		this.minLength = minLength;
+		this.idleFlush = idleFlush;
+		this.variants = new Set();
+		// Forms by their first character, to find possible starts quickly
+		this.byFirst = new Map();
+		this.longest = 0;
+		this.pattern = null;
+	}
+
+	/**
+	 * Mask a value from now on
+	 * @param {string} value - Secret value
+	 */
+	add(value) {
+		if (typeof value !== "string") {
+			return;
+		}
+		for (const variant of redactionVariants(value)) {
+			if (variant.length >= this.minLength && !this.variants.has(variant)) {
+				this.variants.add(variant);
+				if (!this.byFirst.has(variant[0])) {
+					this.byFirst.set(variant[0], []);
+				}
+				this.byFirst.get(variant[0]).push(variant);
+				this.longest = Math.max(this.longest, variant.length);
+				this.pattern = null;
+			}
+		}
+	}
+
+	/**
+	 * Pattern matching every form, longest first so a secret containing
+	 * another one is masked as a whole
+	 * @returns {RegExp|null} - Global pattern, null if nothing is masked
+	 */
+	compile() {
+		if (this.pattern === null && this.variants.size > 0) {
+			const sorted = [...this.variants].sort((a, b) => b.length - a.length);
+			this.pattern = new RegExp(sorted.map(escapeRegExp).join("|"), "g");
+		}
+		return this.pattern;
+	}
+
+	/**
+	 * Mask every known secret in a string
+	 * @param {string} text - Text to mask
+	 * @returns {string} - Masked text
+	 */
+	redact(text) {
+		const pattern = this.compile();
+		return pattern ? String(text).replace(pattern, () => this.mask) : String(text);
+	}
+
+	/**
+	 * Length of the end of text that could be the start of a secret
+	 * @param {string} text - Text seen so far
+	 * @returns {number} - Characters to hold back until more text arrives
+	 */
+	partialLength(text) {
+		for (let start = Math.max(0, text.length - this.longest + 1); start < text.length; start++) {
+			const candidates = this.byFirst.get(text[start]);
+			if (candidates) {
+				const tail = text.slice(start);
+				if (candidates.some((variant) => variant.startsWith(tail))) {
+					return text.length - start;
+				}
+			}
+		}
+		return 0;
+	}
+
+	/**
+	 * Create a stream masking secrets in UTF-8 text passing through. A secret
+	 * split across chunks is still masked: text that could start one is held
+	 * back until the next chunk shows whether it does, or until no more text
+	 * came for idleFlush milliseconds.
+	 * @returns {Transform} - Transform stream
+	 */
+	createStream() {
+		const redactor = this;
+		const decoder = new StringDecoder("utf8");
+		let pending = "";
+		let idleTimer = null;
+
+		const mask = (end) => {
+			const pattern = this.compile();
+			let output = "";
+			let last = 0;
+			if (pattern) {
+				pattern.lastIndex = 0;
+				let match;
+				while ((match = pattern.exec(pending)) !== null && match.index < end) {
+					output += pending.slice(last, match.index) + this.mask;
+					last = match.index + match[0].length;
+				}
+			}
+			const cut = Math.max(last, end);
+			output += pending.slice(last, cut);
+			pending = pending.slice(cut);
+			return output;
+		};
+
+		return new Transform({
+			transform(chunk, encoding, callback) {
+				clearTimeout(idleTimer);
+				pending += typeof chunk === "string" ? chunk : decoder.write(chunk);
+				const output = mask(pending.length - redactor.partialLength(pending));
+				if (pending) {
+					idleTimer = setTimeout(() => this.push(mask(pending.length)), redactor.idleFlush);
+				}
+				callback(null, output || undefined);
+			},
+			flush(callback) {
+				clearTimeout(idleTimer);
+				pending += decoder.end();
+				const output = mask(pending.length);
+				callback(null, output || undefined);
+			},
+			destroy(error, callback) {
+				clearTimeout(idleTimer);
+				callback(error);
+			}
+		});
+	}
+}
+
+module.exports = {
+	Redactor,
+	redactionVariants
+};
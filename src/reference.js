@@ -0,0 +1,243 @@
+/**
+ * Secret reference grammar
+ *
+ *   [scheme://]service[/...]/account[?modifier=value&...]
+ *
+ * The last path segment is the account and the segments before it form the
+ * service, so os://team/app/db/password is account "password" of service
+ * "team/app/db". Path segments and modifier values are percent-decoded.
+ *
+ * Names may hold any Unicode text except control characters, up to 255
+ * characters, and are compared in normalization form NFC. Service names
+ * have no empty path segments. Providers encode names for their backend.
+ *
+ * Modifiers:
+ *   field     Dotted path into a JSON secret, e.g. db.password or hosts.0
+ *   encoding  Decode the stored value: base64, base64url or hex
+ *   trim      Strip surrounding whitespace, true (default) or false
+ *   default   Value used when the secret or field does not exist
+ */
+const { ErrorCodes, TaemnoError, MalformedReferenceError } = require("./errors.js");
+
+const SCHEME_PATTERN = /^([a-z][a-z0-9+.-]*):\/\/(.*)$/s;
+const NAME_MAX_LENGTH = 255;
+const CONTROL_PATTERN = /[\u0000-\u001f\u007f-\u009f]/;
+// Characters the grammar, env files or shells would misread inside a reference
+const RESERVED_PATTERN = /[%/?#&=()\s"'`$\\]/gu;
+const MODIFIERS = ["field", "encoding", "trim", "default"];
+// Marks a stored value holding base64 of data that is not text
+const BINARY_TAG = "base64:";
+
+const ENCODINGS = {
+	base64: /^[A-Za-z0-9+/]*={0,2}$/,
+	base64url: /^[A-Za-z0-9_-]*={0,2}$/,
+	hex: /^(?:[0-9a-fA-F]{2})*$/
+};
+
+/**
+ * Percent-decode a reference component
+ * @param {string} component - Encoded component
+ * @param {string} reference - Whole reference, for error messages
+ * @returns {string} - Decoded component
+ */
+function decodeComponent(component, reference) {
+	try {
+		return decodeURIComponent(component);
+	} catch (error) {
+		throw new MalformedReferenceError("Invalid percent-encoding", reference);
+	}
+}
+
+/**
+ * Check a service or account name and bring it to canonical form
+ * @param {string} name - Name to check
+ * @param {string} kind - "service" or "account", for error messages
+ * @returns {string} - Name in NFC
+ */
+function normalizeName(name, kind) {
+	const fail = (message) => {
+		throw new TaemnoError(`Invalid ${kind} name: ${message}`, ErrorCodes.MALFORMED_REFERENCE);
+	};
+
+	if (typeof name !== "string" || name === "") fail("must not be empty");
+	const normalized = name.normalize("NFC");
+	if (CONTROL_PATTERN.test(normalized)) fail("must not contain control characters");
+	if ([...normalized].length > NAME_MAX_LENGTH) fail(`longer than ${NAME_MAX_LENGTH} characters`);
+	if (kind === "service" && normalized.split("/").includes("")) fail("path segments must not be empty");
+	return normalized;
+}
+
+/**
+ * Percent-encode one character as UTF-8
+ * @param {string} char - Character
+ * @returns {string} - Encoded character
+ */
+function percentEncode(char) {
+	return [...Buffer.from(char, "utf8")].map((byte) => `%${byte.toString(16).toUpperCase().padStart(2, "0")}`).join("");
+}
+
+/**
+ * Write the reference body for a secret. Only characters that would be
+ * misread are encoded, so other Unicode text stays readable.
+ * @param {Object} target - scheme, service and account
+ * @returns {string} - Reference body, e.g. "os://team/app/password", without
+ * "scheme://" when no scheme is given
+ */
+function formatReference({ scheme, service, account }) {
+	const encode = (segment) => segment.replace(RESERVED_PATTERN, percentEncode);
+	const path = `${service.split("/").map(encode).join("/")}/${encode(account)}`;
+	return scheme ? `${scheme}://${path}` : path;
+}
+
+/**
+ * Parse a reference body into its parts
+ * @param {string} body - Reference body, e.g. "os://service/account?field=key"
+ * @param {string} defaultScheme - Scheme for bodies without one
+ * @returns {Object} - scheme, service, account, field, encoding, trim, default and the original reference
+ */
+function parseReference(body, defaultScheme) {
+	const schemeMatch = SCHEME_PATTERN.exec(body);
+	const [scheme, rest] = schemeMatch ? [schemeMatch[1], schemeMatch[2]] : [defaultScheme, body];
+	const queryStart = rest.indexOf("?");
+	const path = queryStart === -1 ? rest : rest.slice(0, queryStart);
+	const query = queryStart === -1 ? "" : rest.slice(queryStart + 1);
+
+	const segments = path.split("/");
+	if (segments.length < 2) {
+		throw new MalformedReferenceError("Expected service/account", body);
+	}
+	if (segments.includes("")) {
+		throw new MalformedReferenceError("Service and account must not be empty", body);
+	}
+	const decoded = segments.map((segment) => decodeComponent(segment, body));
+	let service;
+	let account;
+	try {
+		account = normalizeName(decoded.pop(), "account");
+		service = normalizeName(decoded.join("/"), "service");
+	} catch (error) {
+		throw new MalformedReferenceError(error.message, body);
+	}
+
+	const reference = { scheme, service, account, field: null, encoding: null, trim: true, default: undefined, raw: body };
+
+	const seen = new Set();
+	for (const parameter of query ? query.split("&") : []) {
+		const separator = parameter.indexOf("=");
+		if (separator === -1) {
+			throw new MalformedReferenceError(`Missing value for modifier "${parameter}"`, body);
+		}
+		const name = parameter.slice(0, separator);
+		const value = decodeComponent(parameter.slice(separator + 1), body);
+
+		if (!MODIFIERS.includes(name)) {
+			throw new MalformedReferenceError(`Unknown modifier "${name}"`, body);
+		}
+		if (seen.has(name)) {
+			throw new MalformedReferenceError(`Duplicate modifier "${name}"`, body);
+		}
+		seen.add(name);
+
+		switch (name) {
+			case "field":
+				if (!value || value.split(".").some((key) => key === "")) {
+					throw new MalformedReferenceError(`Invalid field path "${value}"`, body);
+				}
+				reference.field = value;
+				break;
+			case "encoding":
+				if (!Object.hasOwn(ENCODINGS, value)) {
+					throw new MalformedReferenceError(`Unsupported encoding "${value}"`, body);
+				}
+				reference.encoding = value;
+				break;
+			case "trim":
+				if (value !== "true" && value !== "false") {
+					throw new MalformedReferenceError(`trim must be true or false, got "${value}"`, body);
+				}
+				reference.trim = value === "true";
+				break;
+			case "default":
+				reference.default = value;
+				break;
+		}
+	}
+
+	return reference;
+}
+
+/**
+ * Decode a stored value
+ * @param {string} value - Encoded value
+ * @param {string} encoding - Encoding name
+ * @param {Object} reference - Parsed reference, for error messages
+ * @returns {string} - Decoded UTF-8 value
+ */
+function decodeValue(value, encoding, reference) {
+	// Binary data stored from a file carries a "base64:" tag
+	const untagged = encoding === "base64" && value.startsWith(BINARY_TAG) ? value.slice(BINARY_TAG.length) : value;
+	const compact = untagged.replace(/\s+/g, "");
+	if (!ENCODINGS[encoding].test(compact)) {
+		throw new TaemnoError(`Secret is not valid ${encoding}: ${reference.raw}`, ErrorCodes.INVALID_VALUE);
+	}
+	return Buffer.from(compact, encoding).toString("utf8");
+}
+
+/**
+ * Look up a dotted path in a JSON value
+ * @param {string} value - JSON text
+ * @param {string} field - Dotted path
+ * @param {Object} reference - Parsed reference, for error messages
+ * @returns {string|undefined} - Field value, or undefined if missing
+ */
+function extractField(value, field, reference) {
+	let data;
+	try {
+		data = JSON.parse(value);
+	} catch (error) {
+		throw new TaemnoError(`Secret is not valid JSON: ${reference.raw}`, ErrorCodes.INVALID_VALUE);
+	}
+
+	for (const key of field.split(".")) {
+		if (data === null || typeof data !== "object" || !Object.hasOwn(data, key)) {
+			return undefined;
+		}
+		data = data[key];
+	}
+	return typeof data === "string" ? data : JSON.stringify(data);
+}
+
+/**
+ * Apply a reference's modifiers to a retrieved secret
+ * @param {string} secret - Value returned by the provider
+ * @param {Object} reference - Parsed reference
+ * @returns {string} - Final value
+ */
+function applyModifiers(secret, reference) {
+	let value = reference.trim ? secret.trim() : secret;
+
+	if (reference.encoding) {
+		value = decodeValue(value, reference.encoding, reference);
+	}
+
+	if (reference.field) {
+		value = extractField(value, reference.field, reference);
+		if (value === undefined) {
+			if (reference.default !== undefined) {
+				return reference.default;
+			}
+			throw new TaemnoError(`Field "${reference.field}" not found: ${reference.raw}`, ErrorCodes.INVALID_VALUE);
+		}
+	}
+
+	return value;
+}
+
+module.exports = {
+	BINARY_TAG,
+	parseReference,
+	formatReference,
+	normalizeName,
+	applyModifiers,
+	MalformedReferenceError
+};
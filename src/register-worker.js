@@ -0,0 +1,38 @@
+/**
+ * Worker side of register.js: resolves the environment and wakes the
+ * blocked main thread. It must always notify, even on failure, or the main
+ * thread waits until the timeout.
+ */
+const fs = require("fs").promises;
+const { workerData } = require("worker_threads");
+
+(async () => {
+	const { port, signal, env, envFile } = workerData;
+	let message;
+
+	try {
+		const taemnoOS = require("./index.js");
+		const { parse } = require("./envfile.js");
+
+		let source = env;
+		if (envFile) {
+			const content = await fs.readFile(envFile, "utf8");
+			source = { ...env, ...parse(content, { env, filename: envFile }) };
+		}
+
+		const resolved = await taemnoOS.resolveEnvironment(source);
+
+		// Only send what changed, so values are not copied needlessly
+		const changed = {};
+		for (const [key, value] of Object.entries(resolved)) {
+			if (env[key] !== value) changed[key] = value;
+		}
+		message = { env: changed };
+	} catch (error) {
+		message = { error: error.message };
+	}
+
+	port.postMessage(message);
+	Atomics.store(signal, 0, 1);
+	Atomics.notify(signal, 0);
+})();
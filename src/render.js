@@ -0,0 +1,185 @@
+/**
+ * Secret references in config file templates
+ *
+ * Values are escaped for where each reference appears: inside a JSON or
+ * YAML string only the string contents are escaped, a reference standing
+ * for a whole JSON or YAML value becomes a quoted string, and other formats
+ * receive the value as is.
+ */
+const path = require("path");
+const { collectReferences } = require("./utility.js");
+const { ErrorCodes, TaemnoError } = require("./errors.js");
+
+const FORMATS = ["json", "yaml", "raw"];
+const EXTENSIONS = { ".json": "json", ".yaml": "yaml", ".yml": "yaml" };
+const TEMPLATE_EXTENSIONS = [".tmpl", ".tpl", ".template"];
+
+/**
+ * Guess the format of a template from its file name, ignoring a template
+ * extension such as config.yaml.tmpl
+ * @param {string} [filename] - Template file name
+ * @returns {string} - json, yaml or raw
+ */
+function detectFormat(filename) {
+	if (!filename) return "raw";
+	let name = filename;
+	if (TEMPLATE_EXTENSIONS.includes(path.extname(name))) {
+		name = name.slice(0, -path.extname(name).length);
+	}
+	return EXTENSIONS[path.extname(name).toLowerCase()] || "raw";
+}
+
+/**
+ * Determine whether each reference sits inside a JSON string
+ * @param {string} content - Template content
+ * @param {Array<Object>} found - References sorted by offset
+ */
+function jsonContexts(content, found) {
+	let inString = false;
+	let next = 0;
+
+	for (let i = 0; i < content.length; i++) {
+		if (next < found.length && i === found[next].start) {
+			found[next].context = inString ? "json-string" : "json-value";
+			i = found[next++].end - 1;
+			continue;
+		}
+		if (inString && content[i] === "\\") {
+			i++;
+		} else if (content[i] === "\"") {
+			inString = !inString;
+		}
+	}
+}
+
+/**
+ * Determine the YAML scalar style around each reference. Quotes only open
+ * a scalar where one can start, so apostrophes in plain text are ignored.
+ * @param {string} content - Template content
+ * @param {Array<Object>} found - References sorted by offset
+ */
+function yamlContexts(content, found) {
+	let quote = null;
+	let next = 0;
+
+	const scalarStart = (i) => {
+		let j = i - 1;
+		while (j >= 0 && (content[j] === " " || content[j] === "\t")) j--;
+		return j < 0 || content[j] === "\n" || ":-?[{,".includes(content[j]);
+	};
+
+	for (let i = 0; i < content.length; i++) {
+		if (next < found.length && i === found[next].start) {
+			const item = found[next++];
+			if (quote) {
+				item.context = quote === "\"" ? "yaml-double" : "yaml-single";
+			} else {
+				const lineStart = content.lastIndexOf("\n", item.start - 1) + 1;
+				const lineEnd = content.indexOf("\n", item.end);
+				const before = content.slice(lineStart, item.start);
+				const after = content.slice(item.end, lineEnd === -1 ? content.length : lineEnd);
+				const atStart = /(^|[:?-][ \t]|[[{,])[ \t]*$/.test(before);
+				const whole = atStart && /^[ \t]*(#.*|[,\]}].*)?\r?$/.test(after);
+				item.context = whole ? "yaml-value" : atStart ? "yaml-plain-start" : "yaml-plain";
+			}
+			i = item.end - 1;
+			continue;
+		}
+
+		const char = content[i];
+		if (quote === "\"") {
+			if (char === "\\") i++;
+			else if (char === "\"") quote = null;
+		} else if (quote === "'") {
+			if (char === "'" && content[i + 1] === "'") i++;
+			else if (char === "'") quote = null;
+		} else if (char === "#" && (i === 0 || /\s/.test(content[i - 1]))) {
+			// Comments are copied with references replaced as is
+			const end = content.indexOf("\n", i);
+			while (next < found.length && found[next].start < (end === -1 ? content.length : end)) {
+				found[next++].context = "raw";
+			}
+			i = end === -1 ? content.length : end;
+		} else if ((char === "\"" || char === "'") && scalarStart(i)) {
+			quote = char;
+		}
+	}
+}
+
+/**
+ * Escape a value for its context
+ * @param {string} value - Resolved value
+ * @param {Object} item - Reference with context and label
+ * @returns {string} - Text to insert
+ */
+function escapeValue(value, item) {
+	const fail = (message) => {
+		throw new TaemnoError(`${item.label}: ${message}`, ErrorCodes.INVALID_VALUE);
+	};
+
+	switch (item.context) {
+		case "json-value":
+		case "yaml-value":
+			return JSON.stringify(value);
+		case "json-string":
+		case "yaml-double":
+			// JSON escapes are valid in YAML double-quoted scalars
+			return JSON.stringify(value).slice(1, -1);
+		case "yaml-single":
+			if (/[\r\n]/.test(value)) fail("value has a line break, which a single-quoted YAML string cannot hold; use double quotes");
+			return value.replace(/'/g, "''");
+		case "yaml-plain-start":
+		case "yaml-plain":
+			if (/[\r\n]|:(\s|$)|\s#/.test(value) || (item.context === "yaml-plain-start" && /^[-?:,[\]{}#&*!|>'"%@`\s]/.test(value))) {
+				fail("value cannot be part of an unquoted YAML scalar; quote it in the template");
+			}
+			return value;
+		default:
+			return value;
+	}
+}
+
+/**
+ * Replace secret references in a template
+ * @param {string} content - Template content
+ * @param {Object} options - Render options
+ * @param {string} [options.format] - json, yaml or raw (detected from filename by default)
+ * @param {string} [options.filename] - Template file name, for format detection and error messages
+ * @param {string} options.envPrefix - Secret reference prefix
+ * @param {string} options.envSuffix - Secret reference suffix
+ * @param {Function} resolveEnvironment - Resolves references in an environment object
+ * @returns {Promise<string>} - Rendered content
+ */
+async function renderTemplate(content, options, resolveEnvironment) {
+	const { filename, envPrefix, envSuffix } = options;
+	const format = options.format || detectFormat(filename);
+	if (!FORMATS.includes(format)) {
+		throw new TaemnoError(`Unknown template format "${format}", expected one of ${FORMATS.join(", ")}`, ErrorCodes.INVALID_VALUE);
+	}
+
+	const found = collectReferences({ content }, { envPrefix, envSuffix });
+	if (format === "json") jsonContexts(content, found);
+	if (format === "yaml") yamlContexts(content, found);
+
+	// Resolve each reference as its own variable named after its position,
+	// so failures point into the template
+	const env = {};
+	for (const item of found) {
+		const lineStart = content.lastIndexOf("\n", item.start - 1) + 1;
+		const line = content.slice(0, item.start).split("\n").length;
+		item.label = `${filename || "template"}:${line}:${item.start - lineStart + 1}`;
+		env[item.label] = content.slice(item.start, item.end);
+	}
+	const resolved = await resolveEnvironment(env);
+
+	let result = content;
+	for (const item of [...found].reverse()) {
+		result = result.slice(0, item.start) + escapeValue(resolved[item.label], item) + result.slice(item.end);
+	}
+	return result;
+}
+
+module.exports = {
+	renderTemplate,
+	detectFormat
+};
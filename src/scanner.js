@@ -0,0 +1,209 @@
+/**
+ * Detection of plaintext secrets in env files
+ */
+const crypto = require("crypto");
+const { parseEntries, EnvSyntaxError } = require("./envfile.js");
+const { createReferencePattern } = require("./utility.js");
+
+// Known token formats
+const RULES = [
+	{ id: "aws-access-key-id", description: "AWS access key ID", pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/ },
+	{ id: "aws-secret-access-key", description: "AWS secret access key", pattern: /^[A-Za-z0-9/+]{40}$/, key: /aws.*secret|secret.*access/i },
+	{ id: "github-token", description: "GitHub token", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{22,255})\b/ },
+	{ id: "private-key", description: "Private key", pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/ },
+	{ id: "jwt", description: "JSON Web Token", pattern: /\beyJ[A-Za-z0-9_-]{4,}\.eyJ[A-Za-z0-9_-]{4,}\.[A-Za-z0-9_-]{8,}/ },
+	{ id: "slack-token", description: "Slack token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/ },
+	{ id: "stripe-key", description: "Stripe live key", pattern: /\b[rs]k_live_[A-Za-z0-9]{20,}/ },
+	{ id: "google-api-key", description: "Google API key", pattern: /\bAIza[0-9A-Za-z_-]{35}\b/ }
+];
+
+const ENTROPY_RULE = { id: "high-entropy", description: "High-entropy value" };
+const SECRET_KEY_PATTERN = /secret|token|passw(?:or)?d|pwd|api_?key|private|credential|auth/i;
+const PLACEHOLDER_PATTERN = /^(?:<.*>|\{\{.*\}\}|x+|\*+|changeme|change_me|example|placeholder|todo|your[-_].*|.*[-_]here)$/i;
+
+// Bits per character above which a value looks random
+const ENTROPY_THRESHOLD = 4.0;
+const SECRET_KEY_ENTROPY_THRESHOLD = 3.0;
+const MIN_ENTROPY_LENGTH = 16;
+const MIN_SECRET_KEY_LENGTH = 8;
+
+/**
+ * Shannon entropy of a string
+ * @param {string} value - Input string
+ * @returns {number} - Bits per character
+ */
+function entropy(value) {
+	const counts = new Map();
+	for (const char of value) {
+		counts.set(char, (counts.get(char) || 0) + 1);
+	}
+	let bits = 0;
+	for (const count of counts.values()) {
+		const probability = count / value.length;
+		bits -= probability * Math.log2(probability);
+	}
+	return bits;
+}
+
+/**
+ * Identifier of a finding, usable in the committed allowlist. It is made
+ * from the file, variable and rule, never from the value, so short secrets
+ * cannot be guessed back from it, and editing other lines keeps it stable.
+ * @param {string} file - File name
+ * @param {string} key - Variable name
+ * @param {string} rule - Rule ID
+ * @returns {string} - Hex fingerprint
+ */
+function fingerprint(file, key, rule) {
+	return crypto.createHash("sha256").update(`${file}\0${key}\0${rule}`).digest("hex").slice(0, 16);
+}
+
+/**
+ * Find which rule, if any, flags a value
+ * @param {string} key - Variable name
+ * @param {string} value - Value with secret references removed
+ * @returns {Object|null} - Matching rule
+ */
+function matchRule(key, value) {
+	for (const rule of RULES) {
+		if (rule.pattern.test(value) && (!rule.key || rule.key.test(key))) {
+			return rule;
+		}
+	}
+
+	const candidate = value.trim();
+	if (PLACEHOLDER_PATTERN.test(candidate) || /\s/.test(candidate)) {
+		return null;
+	}
+	const secretKey = SECRET_KEY_PATTERN.test(key);
+	const minLength = secretKey ? MIN_SECRET_KEY_LENGTH : MIN_ENTROPY_LENGTH;
+	const threshold = secretKey ? SECRET_KEY_ENTROPY_THRESHOLD : ENTROPY_THRESHOLD;
+	if (candidate.length >= minLength && entropy(candidate) >= threshold) {
+		return ENTROPY_RULE;
+	}
+	return null;
+}
+
+/**
+ * Extract assignments line by line, for files the env parser rejects
+ * @param {string} content - File content
+ * @returns {Array<Object>} - Entries with key, value, line and column
+ */
+function looseEntries(content) {
+	const entries = [];
+	content.split("\n").forEach((text, index) => {
+		const match = /^(\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*)(.*?)\s*$/.exec(text);
+		if (match) {
+			entries.push({ key: match[2], value: match[3].replace(/^(["'`])(.*)\1$/, "$2"), line: index + 1, column: 1 });
+		}
+	});
+	return entries;
+}
+
+/**
+ * Parse an allowlist. Each non-comment line is a finding fingerprint, a
+ * variable name, file:KEY, or rule:<id> to disable a rule.
+ * @param {string} content - Allowlist file content
+ * @returns {Object} - Sets of fingerprints, keys, file keys and rules
+ */
+function parseAllowlist(content) {
+	const allowlist = { fingerprints: new Set(), keys: new Set(), fileKeys: new Set(), rules: new Set() };
+
+	for (const raw of content.split("\n")) {
+		const line = raw.replace(/#.*$/, "").trim();
+		if (!line) continue;
+
+		if (line.startsWith("rule:")) {
+			allowlist.rules.add(line.slice(5));
+		} else if (/^[0-9a-f]{16}$/.test(line)) {
+			allowlist.fingerprints.add(line);
+		} else if (line.includes(":")) {
+			allowlist.fileKeys.add(line);
+		} else {
+			allowlist.keys.add(line);
+		}
+	}
+
+	return allowlist;
+}
+
+/**
+ * Scan env file content for plaintext secrets. Values never appear in
+ * findings, only their position and fingerprint.
+ * @param {string} content - File content
+ * @param {Object} [options] - Scan options
+ * @param {string} [options.filename] - File name reported in findings
+ * @param {Object} [options.allowlist] - Result of parseAllowlist
+ * @param {string} [options.envPrefix] - Secret reference prefix (default "$(taemno ")
+ * @param {string} [options.envSuffix] - Secret reference suffix (default ")")
+ * @returns {Array<Object>} - Findings with file, line, column, key, rule, description and fingerprint
+ */
+function scanContent(content, options = {}) {
+	const { filename = "<input>", allowlist = parseAllowlist(""), envPrefix = "$(taemno ", envSuffix = ")" } = options;
+	const referencePattern = createReferencePattern(envPrefix, envSuffix);
+
+	let entries;
+	try {
+		entries = parseEntries(content, { interpolate: false, filename });
+	} catch (error) {
+		if (!(error instanceof EnvSyntaxError)) throw error;
+		entries = looseEntries(content);
+	}
+
+	const findings = [];
+	for (const { key, value, line, column } of entries) {
+		// Secret references are what we want, only scan what is around them
+		const rest = value.replace(referencePattern, "");
+		const rule = matchRule(key, rest);
+		if (!rule) continue;
+
+		const id = fingerprint(filename, key, rule.id);
+		if (allowlist.rules.has(rule.id) || allowlist.fingerprints.has(id) || allowlist.keys.has(key) || allowlist.fileKeys.has(`${filename}:${key}`)) {
+			continue;
+		}
+
+		findings.push({ file: filename, line, column, key, rule: rule.id, description: rule.description, fingerprint: id });
+	}
+
+	return findings;
+}
+
+/**
+ * Convert findings to a SARIF 2.1.0 log
+ * @param {Array<Object>} findings - Findings from scanContent
+ * @returns {Object} - SARIF log
+ */
+function toSarif(findings) {
+	const rules = [...RULES, ENTROPY_RULE].map(({ id, description }) => ({
+		id,
+		shortDescription: { text: description }
+	}));
+
+	return {
+		$schema: "https://json.schemastore.org/sarif-2.1.0.json",
+		version: "2.1.0",
+		runs: [{
+			tool: { driver: { name: "taemno-env", informationUri: "https://github.com/apla/taemno-env", rules } },
+			results: findings.map((finding) => ({
+				ruleId: finding.rule,
+				level: "error",
+				message: { text: `${finding.description} in plaintext value of ${finding.key}` },
+				partialFingerprints: { taemnoFinding: finding.fingerprint },
+				locations: [{
+					physicalLocation: {
+						artifactLocation: { uri: finding.file.split("\\").join("/") },
+						region: { startLine: finding.line, startColumn: finding.column }
+					}
+				}]
+			}))
+		}]
+	};
+}
+
+module.exports = {
+	scanContent,
+	parseAllowlist,
+	toSarif,
+	matchRule,
+	entropy
+};
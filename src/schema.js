@@ -0,0 +1,291 @@
+/**
+ * Environment schemas
+ *
+ * A .env.schema file declares one variable per line:
+ *
+ *   DATABASE_URL=url required secret
+ *   PORT=int default=3000
+ *   LOG_LEVEL=enum values=debug|info|warn default=info
+ *   API_KEY=string required secret format="^sk_(live|test)_"
+ *
+ * The same rules can be given as JSON, keyed by variable name:
+ *
+ *   { "PORT": { "type": "int", "default": "3000" } }
+ *
+ * Types are string, int, url, enum and bool. secret requires the value to
+ * contain a secret reference rather than plaintext.
+ */
+const fs = require("fs").promises;
+const { EnvSyntaxError } = require("./envfile.js");
+
+const TYPES = ["string", "int", "url", "enum", "bool"];
+const FLAGS = ["required", "secret"];
+const OPTIONS = ["default", "format", "values"];
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+const TOKEN_PATTERN = /(?:[a-z]+=)?(?:"(?:[^"\\]|\\.)*"|\S+)/g;
+const TRUE_VALUES = ["true", "1", "yes", "on"];
+const FALSE_VALUES = ["false", "0", "no", "off"];
+
+/**
+ * Check and normalize one variable's rule
+ * @param {Object} definition - type, required, secret, default, format and values
+ * @returns {Object} - Rule with format compiled to a RegExp
+ */
+function createRule(definition) {
+	const { type = "string", required = false, secret = false, default: fallback, format, values } = definition;
+
+	if (!TYPES.includes(type)) {
+		throw new Error(`Unknown type "${type}", expected one of ${TYPES.join(", ")}`);
+	}
+	if (type === "enum" && (!Array.isArray(values) || values.length === 0)) {
+		throw new Error("enum requires values");
+	}
+	if (type !== "enum" && values != null) {
+		throw new Error("values is only allowed for enum");
+	}
+	if (fallback !== undefined && !["string", "number", "boolean"].includes(typeof fallback)) {
+		throw new Error("default must be a string, number or boolean");
+	}
+
+	let pattern = null;
+	if (format != null) {
+		try {
+			pattern = new RegExp(format);
+		} catch (error) {
+			throw new Error(`Invalid format: ${error.message}`);
+		}
+	}
+
+	return {
+		type,
+		required: Boolean(required),
+		secret: Boolean(secret),
+		default: fallback === undefined ? undefined : String(fallback),
+		format: pattern,
+		values: values ?? null
+	};
+}
+
+/**
+ * Parse the value of an option token, which may be a JSON string
+ * @param {string} text - Raw option value
+ * @returns {string} - Option value
+ */
+function optionValue(text) {
+	return text.startsWith("\"") ? JSON.parse(text) : text;
+}
+
+/**
+ * Parse a .env.schema file
+ * @param {string} content - Schema file content
+ * @param {string} [filename] - File name used in error messages
+ * @returns {Object} - Rules keyed by variable name
+ */
+function parseSchemaLines(content, filename) {
+	const schema = {};
+
+	content.split("\n").forEach((text, index) => {
+		const line = text.trim();
+		if (!line || line.startsWith("#")) return;
+
+		const column = text.indexOf(line) + 1;
+		const fail = (message) => {
+			throw new EnvSyntaxError(message, index + 1, column, filename);
+		};
+
+		const separator = line.indexOf("=");
+		const key = separator === -1 ? line : line.slice(0, separator).trim();
+		if (!KEY_PATTERN.test(key)) {
+			fail(`Invalid variable name "${key}"`);
+		}
+		if (Object.hasOwn(schema, key)) {
+			fail(`Duplicate rule for ${key}`);
+		}
+
+		const definition = {};
+		const tokens = separator === -1 ? [] : line.slice(separator + 1).match(TOKEN_PATTERN) ?? [];
+		for (const [position, token] of tokens.entries()) {
+			const equals = token.indexOf("=");
+			const name = equals === -1 ? token : token.slice(0, equals);
+
+			if (position === 0 && TYPES.includes(token)) {
+				definition.type = token;
+			} else if (FLAGS.includes(token)) {
+				definition[token] = true;
+			} else if (equals !== -1 && OPTIONS.includes(name)) {
+				let value;
+				try {
+					value = optionValue(token.slice(equals + 1));
+				} catch (error) {
+					fail(`Invalid quoted value for ${name}`);
+				}
+				definition[name] = name === "values" ? value.split("|") : value;
+			} else {
+				fail(`Unexpected "${token}" in rule for ${key}`);
+			}
+		}
+
+		try {
+			schema[key] = createRule(definition);
+		} catch (error) {
+			fail(`${error.message} in rule for ${key}`);
+		}
+	});
+
+	return schema;
+}
+
+/**
+ * Parse a schema from .env.schema or JSON content
+ * @param {string} content - Schema content
+ * @param {string} [filename] - File name used in error messages
+ * @returns {Object} - Rules keyed by variable name
+ */
+function parseSchema(content, filename) {
+	if (!content.trimStart().startsWith("{")) {
+		return parseSchemaLines(content, filename);
+	}
+
+	let definitions;
+	try {
+		definitions = JSON.parse(content);
+	} catch (error) {
+		throw new SyntaxError(`Invalid JSON schema${filename ? ` in ${filename}` : ""}: ${error.message}`);
+	}
+	return createSchema(definitions);
+}
+
+/**
+ * Build a schema from rule definitions keyed by variable name
+ * @param {Object} definitions - Definitions as accepted in JSON schemas
+ * @returns {Object} - Rules keyed by variable name
+ */
+function createSchema(definitions) {
+	const schema = {};
+	for (const [key, definition] of Object.entries(definitions)) {
+		try {
+			schema[key] = createRule(definition ?? {});
+		} catch (error) {
+			throw new SyntaxError(`Invalid schema for ${key}: ${error.message}`);
+		}
+	}
+	return schema;
+}
+
+/**
+ * Read a schema file
+ * @param {string} file - Path to a .env.schema or JSON file
+ * @returns {Promise<Object>} - Rules keyed by variable name
+ */
+async function loadSchema(file) {
+	return parseSchema(await fs.readFile(file, "utf8"), file);
+}
+
+/**
+ * Convert a value to its declared type
+ * @param {string} value - Variable value
+ * @param {Object} rule - Variable rule
+ * @returns {Object} - The converted value, or an error message
+ */
+function coerce(value, rule) {
+	switch (rule.type) {
+		case "int": {
+			const number = Number(value);
+			if (!/^[+-]?\d+$/.test(value.trim()) || !Number.isSafeInteger(number)) {
+				return { error: "must be an integer" };
+			}
+			return { value: number };
+		}
+		case "bool": {
+			const normalized = value.trim().toLowerCase();
+			if (TRUE_VALUES.includes(normalized)) return { value: true };
+			if (FALSE_VALUES.includes(normalized)) return { value: false };
+			return { error: `must be a boolean (${TRUE_VALUES.join("/")} or ${FALSE_VALUES.join("/")})` };
+		}
+		case "url":
+			try {
+				new URL(value);
+			} catch (error) {
+				return { error: "must be a URL" };
+			}
+			return { value };
+		case "enum":
+			if (!rule.values.includes(value)) {
+				return { error: `must be one of ${rule.values.join(", ")}` };
+			}
+			return { value };
+		default:
+			return { value };
+	}
+}
+
+/**
+ * Check an environment against a schema
+ * @param {Object} schema - Rules keyed by variable name
+ * @param {Object} env - Environment as written, with secret references unresolved
+ * @param {Object} options - Validation options
+ * @param {Object} [options.resolved] - The same environment with references resolved. Without it,
+ * values holding references are only checked for presence.
+ * @param {RegExp} options.referencePattern - Matches secret references
+ * @returns {Object} - violations (key, rule, message) and the typed config
+ */
+function validateEnv(schema, env, options) {
+	const { resolved, referencePattern } = options;
+	const hasReference = (value) => {
+		referencePattern.lastIndex = 0;
+		return referencePattern.test(value);
+	};
+
+	const violations = [];
+	const config = {};
+
+	for (const [key, rule] of Object.entries(schema)) {
+		const raw = env[key];
+
+		if (raw === undefined || raw === "") {
+			if (rule.default !== undefined) {
+				const { value, error } = coerce(rule.default, rule);
+				if (error) {
+					violations.push({ key, rule: "type", message: `default ${error}` });
+				} else {
+					config[key] = value;
+				}
+			} else if (rule.required) {
+				violations.push({ key, rule: "required", message: "is required" });
+			}
+			continue;
+		}
+
+		if (rule.secret && !hasReference(raw)) {
+			violations.push({ key, rule: "secret", message: "must be a secret reference, not plaintext" });
+		}
+
+		let value = raw;
+		if (resolved) {
+			value = resolved[key];
+		} else if (hasReference(raw)) {
+			// Checking the value would mean reading the secret
+			continue;
+		}
+
+		const result = coerce(value, rule);
+		if (result.error) {
+			violations.push({ key, rule: "type", message: result.error });
+			continue;
+		}
+		if (rule.format && !rule.format.test(value)) {
+			violations.push({ key, rule: "format", message: `does not match ${rule.format}` });
+			continue;
+		}
+		config[key] = result.value;
+	}
+
+	return { violations, config };
+}
+
+module.exports = {
+	parseSchema,
+	createSchema,
+	loadSchema,
+	validateEnv
+};
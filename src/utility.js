@@ -1,48 +1,168 @@
 /**
  * Utility functions for @taemno/os
  */
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const { parseReference, applyModifiers, normalizeName, BINARY_TAG } = require("./reference.js");
+const { ErrorCodes, TaemnoError, ResolutionError, classifyError } = require("./errors.js");
 
 /**
- * Resolve secrets in environment variables
- * @param {Object} env - Environment variables
+ * Escape a string for literal use in a regular expression
+ * @param {string} string - Input string
+ * @returns {string} - Escaped string
+ */
+function escapeRegExp(string) {
+	return string.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build a regular expression matching secret references
  * @param {string} prefix - Secret reference prefix
  * @param {string} suffix - Secret reference suffix
- * @param {Object} provider - OS provider for secrets
- * @returns {Promise<Object>} - Resolved environment
+ * @returns {RegExp} - Global regex capturing the reference body
  */
-async function resolveSecrets(env, prefix, suffix, provider) {
-	const result = { ...env };
-	const regex = new RegExp(`${prefix.replace(/\$/g, "\\$").replace(/\(/g, "\\(")}(.+?)${suffix.replace(/\)/g, "\\)")}`, "g");
+function createReferencePattern(prefix, suffix) {
+	return new RegExp(`${escapeRegExp(prefix)}(.+?)${escapeRegExp(suffix)}`, "g");
+}
+
+/**
+ * Find every secret reference in an environment, in order
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Reference syntax options (envPrefix, envSuffix)
+ * @returns {Array<Object>} - key, start, end and body of each reference
+ */
+function collectReferences(env, options) {
+	const regex = createReferencePattern(options.envPrefix, options.envSuffix);
+	const found = [];
 
-	for (const [key, value] of Object.entries(result)) {
+	for (const [key, value] of Object.entries(env)) {
 		if (typeof value === "string") {
-			let newValue = value;
 			let match;
-			let matchFound = false;
-
-			// Reset regex index
 			regex.lastIndex = 0;
-
-			// Create a copy of the string to replace values
 			while ((match = regex.exec(value)) !== null) {
-				matchFound = true;
-				const [fullMatch, path] = match;
-				const [service, account] = path.split("/");
-
-				try {
-					const secret = await retrieveSecret(service, account, provider);
-					newValue = newValue.replace(fullMatch, secret);
-				} catch (error) {
-					throw new Error(`Failed to resolve secret for ${key}: ${error.message}`);
-				}
+				found.push({ key, start: match.index, end: match.index + match[0].length, body: match[1] });
 			}
+		}
+	}
+
+	return found;
+}
+
+/**
+ * Identify the stored secret a reference points to, ignoring modifiers
+ * @param {Object} reference - Parsed reference
+ * @returns {string} - Identifier unique per scheme, service and account
+ */
+function secretId(reference) {
+	return [reference.scheme, reference.service, reference.account].join("\0");
+}
+
+/**
+ * Map over items running at most `limit` calls at a time
+ * @param {Array} items - Input items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper
+ * @returns {Promise<Array>} - Results in input order
+ */
+async function mapLimit(items, limit, fn) {
+	const results = new Array(items.length);
+	let next = 0;
+
+	const worker = async () => {
+		while (next < items.length) {
+			const index = next++;
+			results[index] = await fn(items[index], index);
+		}
+	};
+
+	const workers = Math.min(Math.max(1, limit || 1), items.length);
+	await Promise.all(Array.from({ length: workers }, worker));
+	return results;
+}
+
+/**
+ * Describe a failed reference for ResolutionError and verifyEnvironment
+ * @param {Object} item - Reference found by collectReferences
+ * @param {Error} cause - Underlying error
+ * @param {string} defaultScheme - Scheme for references without one
+ * @returns {Object} - key, reference, provider, service, account, code and cause
+ */
+function describeFailure(item, cause, defaultScheme) {
+	const reference = item.reference || {};
+	return {
+		key: item.key,
+		reference: item.body,
+		provider: reference.scheme || defaultScheme,
+		service: reference.service,
+		account: reference.account,
+		code: classifyError(cause),
+		cause
+	};
+}
 
-			if (matchFound) {
-				result[key] = newValue;
+/**
+ * Resolve secrets in environment variables. Each distinct secret is fetched
+ * once, with at most options.concurrency fetches in flight. Every failing
+ * reference is collected into a single ResolutionError.
+ * @param {Object} env - Environment variables
+ * @param {Object} options - Reference syntax options (envPrefix, envSuffix, defaultScheme, concurrency)
+ * @param {Function} fetchSecret - Retrieves a secret by scheme, service and account
+ * @param {Function} [onResolved] - Called with each value taken from a secret, after modifiers
+ * @returns {Promise<Object>} - Resolved environment
+ */
+async function resolveSecrets(env, options, fetchSecret, onResolved = () => {}) {
+	const result = { ...env };
+	const found = collectReferences(env, options);
+	const failed = [];
+
+	for (const item of found) {
+		try {
+			item.reference = parseReference(item.body, options.defaultScheme);
+		} catch (error) {
+			failed.push({ item, cause: error });
+		}
+	}
+
+	const parsed = found.filter(({ reference }) => reference);
+	const unique = new Map(parsed.map(({ reference }) => [secretId(reference), reference]));
+	const fetched = new Map();
+	await mapLimit([...unique], options.concurrency, async ([id, { scheme, service, account }]) => {
+		try {
+			fetched.set(id, { secret: await fetchSecret(scheme, service, account) });
+		} catch (error) {
+			fetched.set(id, { error });
+		}
+	});
+
+	for (const item of parsed) {
+		const { reference } = item;
+		const { secret, error } = fetched.get(secretId(reference));
+
+		try {
+			if (error) {
+				// Defaults only stand in for secrets that do not exist
+				if (reference.default === undefined || classifyError(error) !== ErrorCodes.NOT_FOUND) throw error;
+				item.value = reference.default;
+			} else {
+				item.value = applyModifiers(secret, reference);
+				onResolved(item.value);
 			}
+		} catch (cause) {
+			failed.push({ item, cause });
 		}
 	}
 
+	if (failed.length > 0) {
+		// Report in environment order
+		failed.sort((a, b) => found.indexOf(a.item) - found.indexOf(b.item));
+		throw new ResolutionError(failed.map(({ item, cause }) => describeFailure(item, cause, options.defaultScheme)));
+	}
+
+	// Substitute from the end so earlier offsets stay valid
+	for (const { key, start, end, value } of [...found].reverse()) {
+		result[key] = result[key].slice(0, start) + value + result[key].slice(end);
+	}
+
 	return result;
 }
 
@@ -55,7 +175,7 @@ async function resolveSecrets(env, prefix, suffix, provider) {
  * @returns {Promise<boolean>} - Success status
  */
 async function storeSecret(service, account, secret, provider) {
-	return await provider.set(service, account, secret);
+	return await provider.set(normalizeName(service, "service"), normalizeName(account, "account"), secret);
 }
 
 /**
@@ -66,7 +186,7 @@ async function storeSecret(service, account, secret, provider) {
  * @returns {Promise<string>} - Retrieved secret
  */
 async function retrieveSecret(service, account, provider) {
-	return await provider.get(service, account);
+	return await provider.get(normalizeName(service, "service"), normalizeName(account, "account"));
 }
 
 /**
@@ -77,7 +197,7 @@ async function retrieveSecret(service, account, provider) {
  * @returns {Promise<boolean>} - True if secret exists
  */
 async function secretExists(service, account, provider) {
-	return await provider.exists(service, account);
+	return await provider.exists(normalizeName(service, "service"), normalizeName(account, "account"));
 }
 
 /**
@@ -88,13 +208,152 @@ async function secretExists(service, account, provider) {
  * @returns {Promise<boolean>} - Success status
  */
 async function deleteSecret(service, account, provider) {
-	return await provider.delete(service, account);
+	return await provider.delete(normalizeName(service, "service"), normalizeName(account, "account"));
+}
+
+/**
+ * List secrets held by a provider
+ * @param {string|null} service - Only list accounts of this service
+ * @param {Object} provider - Provider for secrets
+ * @param {string} scheme - Provider scheme, for error messages
+ * @returns {Promise<Array<Object>>} - Items with service and account, sorted
+ */
+async function listSecrets(service, provider, scheme) {
+	if (typeof provider.list !== "function") {
+		throw new TaemnoError(`Provider ${scheme}:// does not support listing`, ErrorCodes.PROVIDER_ERROR);
+	}
+
+	const items = await provider.list(service === null ? null : normalizeName(service, "service"));
+	return items.sort((a, b) => a.service.localeCompare(b.service) || a.account.localeCompare(b.account));
+}
+
+/**
+ * Whether data can be stored as text as is
+ * @param {Buffer} data - Raw secret
+ * @returns {boolean} - True for valid UTF-8 without NUL
+ */
+function isText(data) {
+	return !data.includes(0) && Buffer.from(data.toString("utf8"), "utf8").equals(data);
+}
+
+/**
+ * Turn raw input into a storable secret. Text is stored exactly as given,
+ * even when it starts with the tag (as Laravel-style "base64:" keys do).
+ * Only data that is not valid UTF-8 or contains NUL is stored base64 with
+ * the tag.
+ * @param {Buffer} data - Raw secret
+ * @returns {string} - Value to store
+ */
+function encodeSecretData(data) {
+	return isText(data) ? data.toString("utf8") : BINARY_TAG + data.toString("base64");
+}
+
+/**
+ * Recover the raw data of a secret stored by encodeSecretData. A tagged
+ * value whose contents are text was stored as text, so it is kept as is.
+ * @param {string} value - Stored value
+ * @returns {Buffer} - Raw secret
+ */
+function decodeSecretData(value) {
+	if (value.startsWith(BINARY_TAG)) {
+		const data = Buffer.from(value.slice(BINARY_TAG.length), "base64");
+		if (!isText(data)) {
+			return data;
+		}
+	}
+	return Buffer.from(value, "utf8");
+}
+
+/**
+ * Write a file atomically: data goes to a temporary file in the same
+ * directory which then replaces the target
+ * @param {string} file - Target path
+ * @param {string|Buffer} data - File contents
+ * @param {number} [mode] - File mode (default 0600)
+ */
+async function writeFileAtomic(file, data, mode = 0o600) {
+	const tmpPath = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+	const handle = await fs.open(tmpPath, "wx", mode);
+	try {
+		await handle.writeFile(data);
+		await handle.sync();
+		await handle.close();
+		// The umask may have narrowed the mode on creation
+		await fs.chmod(tmpPath, mode);
+		await fs.rename(tmpPath, file);
+	} catch (error) {
+		await handle.close().catch(() => {});
+		await fs.unlink(tmpPath).catch(() => {});
+		throw error;
+	}
+}
+
+/**
+ * Take an exclusive lock by creating a lock file. Lock files older than
+ * staleAfter are assumed to be left behind by a crashed process.
+ * @param {string} lockPath - Lock file path
+ * @param {Object} [options] - Lock options
+ * @param {number} [options.timeout] - Milliseconds to wait for the lock (default 5000)
+ * @param {number} [options.retryDelay] - Milliseconds between attempts (default 50)
+ * @param {number} [options.staleAfter] - Milliseconds after which a lock is stale (default 30000)
+ * @returns {Promise<Function>} - Releases the lock
+ */
+async function acquireLock(lockPath, options = {}) {
+	const { timeout = 5000, retryDelay = 50, staleAfter = 30000 } = options;
+	const deadline = Date.now() + timeout;
+
+	for (;;) {
+		let lock;
+		try {
+			lock = await fs.open(lockPath, "wx", 0o600);
+		} catch (error) {
+			if (error.code !== "EEXIST") {
+				throw error;
+			}
+			const stats = await fs.stat(lockPath).catch(() => null);
+			if (stats && Date.now() - stats.mtimeMs > staleAfter) {
+				await fs.unlink(lockPath).catch(() => {});
+				continue;
+			}
+			if (Date.now() > deadline) {
+				const timeoutError = new Error(`Timed out waiting for lock: ${lockPath}`);
+				timeoutError.code = "ETIMEDOUT";
+				throw timeoutError;
+			}
+			await new Promise((resolve) => setTimeout(resolve, retryDelay));
+			continue;
+		}
+
+		const release = async () => {
+			await lock.close().catch(() => {});
+			await fs.unlink(lockPath).catch(() => {});
+		};
+		try {
+			await lock.writeFile(String(process.pid));
+		} catch (error) {
+			await release();
+			throw error;
+		}
+		return release;
+	}
 }
 
 module.exports = {
+	BINARY_TAG,
+	acquireLock,
+	createReferencePattern,
+	collectReferences,
+	decodeSecretData,
+	describeFailure,
+	encodeSecretData,
+	escapeRegExp,
+	secretId,
+	mapLimit,
 	resolveSecrets,
 	storeSecret,
 	retrieveSecret,
 	secretExists,
-	deleteSecret
+	deleteSecret,
+	listSecrets,
+	writeFileAtomic
 };
\ No newline at end of file
@@ -0,0 +1,185 @@
+/**
+ * Watch of a resolved environment
+ *
+ * An env file is watched for edits. Secrets are read again on a timer,
+ * straight from their providers: the delay doubles while nothing changes
+ * or reading fails, up to maxInterval, and drops back after a change.
+ * Each read goes to the keychain, not the agent, so keep the interval long
+ * where keychain access prompts. Listeners learn which keys changed, never
+ * their values.
+ */
+const { EventEmitter } = require("events");
+const fs = require("fs");
+const path = require("path");
+const { parse } = require("./envfile.js");
+const { ErrorCodes, TaemnoError } = require("./errors.js");
+
+const DEFAULT_INTERVAL = 5000;
+const DEFAULT_MAX_INTERVAL = 60000;
+
+// Editors save in several steps, check once they are done
+const FILE_SETTLE_DELAY = 100;
+
+/**
+ * Keys whose value differs between two environments
+ * @param {Object} previous - Earlier environment
+ * @param {Object} next - Current environment
+ * @returns {Array<string>} - Added, changed and removed keys
+ */
+function changedKeys(previous, next) {
+	const keys = new Set([...Object.keys(next), ...Object.keys(previous)]);
+	return [...keys].filter((key) => previous[key] !== next[key]);
+}
+
+/**
+ * Resolved environment kept up to date
+ *
+ * Emits "change" with the names of changed keys after env holds their new
+ * values, and "error" for a failed check when it has listeners. Failed
+ * checks are retried with backoff.
+ */
+class EnvWatcher extends EventEmitter {
+	/**
+	 * @param {Object} taemnoOS - Instance resolving the environment
+	 * @param {string|Object} source - Env file path or environment variables
+	 * @param {Object} [options] - Watch options
+	 * @param {Object} [options.base] - Variables an env file is layered on (default none)
+	 * @param {number} [options.interval] - Milliseconds between reads of the secrets (default 5000)
+	 * @param {number} [options.maxInterval] - Longest delay after backing off (default 60000)
+	 */
+	constructor(taemnoOS, source, options = {}) {
+		super();
+		const { base = {}, interval = DEFAULT_INTERVAL, maxInterval = DEFAULT_MAX_INTERVAL } = options;
+		if (!Number.isInteger(interval) || interval <= 0) {
+			throw new TaemnoError("interval must be a positive integer", ErrorCodes.INVALID_VALUE);
+		}
+		if (!Number.isInteger(maxInterval) || maxInterval < interval) {
+			throw new TaemnoError("maxInterval must be an integer no less than interval", ErrorCodes.INVALID_VALUE);
+		}
+
+		this.taemnoOS = taemnoOS;
+		this.file = typeof source === "string" ? source : null;
+		this.source = this.file ? null : { ...source };
+		this.base = base;
+		this.interval = interval;
+		this.maxInterval = maxInterval;
+		this.delay = interval;
+		this.env = null;
+		this.timer = null;
+		this.fileWatcher = null;
+		this.checking = false;
+		this.recheck = false;
+		this.closed = false;
+	}
+
+	/**
+	 * Current unresolved environment
+	 * @returns {Promise<Object>} - Variables with their references
+	 */
+	async read() {
+		if (!this.file) {
+			return this.source;
+		}
+		const content = await fs.promises.readFile(this.file, "utf8");
+		return { ...this.base, ...parse(content, { filename: this.file }) };
+	}
+
+	/**
+	 * Resolve the environment and start watching
+	 * @returns {Promise<EnvWatcher>} - This watcher
+	 */
+	async start() {
+		this.env = await this.taemnoOS.resolveEnvironment(await this.read());
+
+		if (this.file) {
+			// The directory, since saving often replaces the file
+			const name = path.basename(this.file);
+			let settle;
+			this.fileWatcher = fs.watch(path.dirname(path.resolve(this.file)), (eventType, filename) => {
+				if (filename === null || filename === name) {
+					clearTimeout(settle);
+					settle = setTimeout(() => this.check(), FILE_SETTLE_DELAY);
+				}
+			});
+			this.fileWatcher.on("error", (error) => this.fail(error));
+		}
+		this.schedule();
+		return this;
+	}
+
+	/**
+	 * Plan the next read of the secrets
+	 */
+	schedule() {
+		clearTimeout(this.timer);
+		if (!this.closed) {
+			this.timer = setTimeout(() => this.check(), this.delay);
+		}
+	}
+
+	/**
+	 * Back off and report a failed check
+	 * @param {Error} error - Failure
+	 */
+	fail(error) {
+		this.delay = Math.min(this.delay * 2, this.maxInterval);
+		if (!this.closed && this.listenerCount("error") > 0) {
+			this.emit("error", error);
+		}
+	}
+
+	/**
+	 * Resolve again, bypassing cached values, and report changed keys
+	 */
+	async check() {
+		if (this.closed) {
+			return;
+		}
+		if (this.checking) {
+			this.recheck = true;
+			return;
+		}
+		this.checking = true;
+
+		try {
+			const next = await this.taemnoOS.resolveEnvironment(await this.read(), { fresh: true });
+			const keys = changedKeys(this.env, next);
+			this.env = next;
+			if (keys.length > 0) {
+				this.delay = this.interval;
+				if (!this.closed) {
+					this.emit("change", keys);
+				}
+			} else {
+				this.delay = Math.min(this.delay * 2, this.maxInterval);
+			}
+		} catch (error) {
+			this.fail(error);
+		} finally {
+			this.checking = false;
+		}
+
+		if (this.recheck) {
+			this.recheck = false;
+			await this.check();
+		} else {
+			this.schedule();
+		}
+	}
+
+	/**
+	 * Stop watching
+	 */
+	close() {
+		this.closed = true;
+		clearTimeout(this.timer);
+		if (this.fileWatcher) {
+			this.fileWatcher.close();
+		}
+	}
+}
+
+module.exports = {
+	EnvWatcher,
+	changedKeys
+};
@@ -0,0 +1,158 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { TaemnoOS, ErrorCodes, TaemnoError } from "../src/index.js";
+import { AgentClient, startAgent } from "../src/agent.js";
+import { createRequire } from "node:module";
+
+const require = createRequire(import.meta.url);
+
+describe("agent", () => {
+	let tmpDir;
+	let socketPath;
+	let server;
+	let reads;
+
+	const provider = {
+		set: async () => true,
+		get: async (service, account) => {
+			reads.push(`${service}/${account}`);
+			if (account === "missing") throw new TaemnoError(`Secret not found: ${service}/${account}`, ErrorCodes.NOT_FOUND);
+			return `value of ${service}/${account}`;
+		},
+		exists: async () => true,
+		delete: async () => true
+	};
+
+	before(async () => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-agent-"));
+		socketPath = path.join(tmpDir, "agent.sock");
+		server = await startAgent({
+			socketPath,
+			idleTimeout: 1000,
+			createInstance: (options) => new TaemnoOS({ ...options, provider })
+		});
+	});
+
+	after(async () => {
+		await new AgentClient(socketPath).call({ op: "stop" });
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	beforeEach(() => {
+		reads = [];
+	});
+
+	it("should listen on a socket only its user can use", () => {
+		assert.strictEqual(fs.statSync(socketPath).mode & 0o777, 0o600);
+	});
+
+	it("should read each secret once and answer from memory", async () => {
+		const client = new TaemnoOS({ agent: socketPath });
+
+		assert.strictEqual(await client.get("db", "password"), "value of db/password");
+		const resolved = await new TaemnoOS({ agent: socketPath }).resolveEnvironment({ DB: "$(taemno os://db/password)" });
+		assert.strictEqual(resolved.DB, "value of db/password");
+		assert.deepStrictEqual(reads, ["db/password"]);
+
+		await new AgentClient(socketPath).forget({ scheme: "os", service: "db", account: "password", profile: null });
+		await client.get("db", "password");
+		assert.deepStrictEqual(reads, ["db/password", "db/password"]);
+	});
+
+	it("should drop held secrets when locked or idle", async () => {
+		const client = new TaemnoOS({ agent: socketPath });
+		await client.get("api", "key");
+
+		await new AgentClient(socketPath).call({ op: "lock" });
+		await client.get("api", "key");
+		await new Promise((resolve) => setTimeout(resolve, 1200));
+		await client.get("api", "key");
+
+		assert.deepStrictEqual(reads, ["api/key", "api/key", "api/key"]);
+	});
+
+	it("should pass provider errors on with their code", async () => {
+		await assert.rejects(new TaemnoOS({ agent: socketPath }).get("db", "missing"), {
+			code: ErrorCodes.NOT_FOUND,
+			message: "Secret not found: db/missing"
+		});
+	});
+
+	it("should read within the client's profile", async () => {
+		const profiles = { dev: { prefix: "dev/" }, prod: { prefix: "prod/", production: true } };
+
+		assert.strictEqual(await new TaemnoOS({ agent: socketPath, profile: "dev", profiles }).get("db", "password"), "value of dev/db/password");
+		await assert.rejects(new TaemnoOS({ agent: socketPath, profile: "prod", profiles }).get("db", "password"), { code: ErrorCodes.ACCESS_DENIED });
+		assert.deepStrictEqual(reads, ["dev/db/password"]);
+	});
+
+	it("should not serve providers registered in the client", async () => {
+		const local = { ...provider, get: async () => "local" };
+
+		assert.strictEqual(await new TaemnoOS({ agent: socketPath, provider: local }).get("db", "password"), "local");
+		assert.deepStrictEqual(reads, []);
+	});
+
+	it("should refuse to start twice or in a shared directory", async () => {
+		await assert.rejects(startAgent({ socketPath, createInstance: () => {} }), /already running/);
+
+		const shared = path.join(tmpDir, "shared");
+		fs.mkdirSync(shared, { mode: 0o755 });
+		fs.chmodSync(shared, 0o755);
+		await assert.rejects(startAgent({ socketPath: path.join(shared, "agent.sock"), createInstance: () => {} }), {
+			code: ErrorCodes.ACCESS_DENIED
+		});
+	});
+
+	it("should treat a missing socket as no agent", async () => {
+		assert.strictEqual(await new AgentClient(path.join(tmpDir, "none.sock")).call({ op: "ping" }), null);
+		assert.ok(server.listening);
+	});
+});
+
+describe("agent and file vaults", () => {
+	let tmpDir;
+	let socketPath;
+	let agentVault;
+
+	before(async () => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-agent-vault-"));
+		socketPath = path.join(tmpDir, "agent.sock");
+		// The client's built-in file provider opens this vault when first loaded
+		process.env.TAEMNO_VAULT_PATH = path.join(tmpDir, "client.json");
+		process.env.TAEMNO_VAULT_PASSPHRASE = "passphrase";
+		const { createFileProvider } = require("../src/providers/file.js");
+
+		agentVault = createFileProvider({ path: path.join(tmpDir, "agent.json"), passphrase: "passphrase" });
+		await agentVault.set("db", "password", "agent vault");
+		await createFileProvider().set("db", "password", "client vault");
+
+		await startAgent({
+			socketPath,
+			createInstance: (options) => new TaemnoOS({ ...options, providers: { file: agentVault } })
+		});
+	});
+
+	after(async () => {
+		await new AgentClient(socketPath).call({ op: "stop" });
+		delete process.env.TAEMNO_VAULT_PATH;
+		delete process.env.TAEMNO_VAULT_PASSPHRASE;
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	it("should leave a client using another vault to read it itself", async () => {
+		const client = new TaemnoOS({ agent: socketPath });
+
+		assert.deepStrictEqual(client.agentRequest("file", "db", "password").backend, { kind: "file", location: path.join(tmpDir, "client.json") });
+		assert.strictEqual(await client.get("db", "password", "file"), "client vault");
+		assert.strictEqual(await new AgentClient(socketPath).get(client.agentRequest("file", "db", "password")), undefined);
+	});
+
+	it("should serve a client using the same vault", async () => {
+		const request = { scheme: "file", service: "db", account: "password", profile: null, backend: { kind: "file", location: agentVault.path } };
+		assert.strictEqual(await new AgentClient(socketPath).get(request), "agent vault");
+	});
+});
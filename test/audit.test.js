@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { AuditLog, GENESIS_HASH } from "../src/audit.js";
+import { TaemnoOS, TaemnoError, ErrorCodes } from "../src/index.js";
+
+/**
+ * Keychain holding the chain key
+ */
+function memoryKeychain() {
+	const store = new Map();
+	return {
+		set: async (service, account, secret) => store.set(`${service}/${account}`, secret),
+		get: async (service, account) => {
+			if (!store.has(`${service}/${account}`)) throw new TaemnoError("Secret not found", ErrorCodes.NOT_FOUND);
+			return store.get(`${service}/${account}`);
+		},
+		exists: async (service, account) => store.has(`${service}/${account}`),
+		delete: async (service, account) => store.delete(`${service}/${account}`)
+	};
+}
+
+describe("audit log", () => {
+	let tmpDir;
+	let logPath;
+	let keychain;
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-audit-"));
+		logPath = path.join(tmpDir, "audit.jsonl");
+		keychain = memoryKeychain();
+	});
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	function readEntries() {
+		return fs.readFileSync(logPath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+	}
+
+	async function writeEntries(count) {
+		const log = new AuditLog(logPath, { keychain });
+		await Promise.all(Array.from({ length: count }, (_, i) =>
+			log.record({ operation: "get", provider: "os", service: "service", account: `account${i}`, outcome: "ok" })));
+		return log;
+	}
+
+	it("should chain entries in call order", async () => {
+		await writeEntries(3);
+
+		const entries = readEntries();
+		assert.deepStrictEqual(entries.map(({ seq, account }) => [seq, account]), [[1, "account0"], [2, "account1"], [3, "account2"]]);
+		assert.strictEqual(entries[0].prev, GENESIS_HASH);
+		assert.strictEqual(entries[1].prev, entries[0].hash);
+		assert.strictEqual(entries[0].pid, process.pid);
+		assert.strictEqual(entries[0].cwd, process.cwd());
+		assert.strictEqual(fs.statSync(logPath).mode & 0o777, 0o600);
+		assert.ok(!fs.existsSync(`${logPath}.lock`));
+	});
+
+	it("should verify an intact or empty log", async () => {
+		assert.deepStrictEqual(await new AuditLog(logPath, { keychain }).verify(), { valid: true, entries: 0 });
+
+		const log = await writeEntries(3);
+		assert.deepStrictEqual(await log.verify(), { valid: true, entries: 3 });
+	});
+
+	it("should detect edited entries", async () => {
+		const log = await writeEntries(3);
+		fs.writeFileSync(logPath, fs.readFileSync(logPath, "utf8").replace("account1", "account9"));
+
+		const result = await log.verify();
+		assert.strictEqual(result.valid, false);
+		assert.strictEqual(result.line, 2);
+		assert.match(result.reason, /modified/);
+	});
+
+	it("should detect a chain recomputed without the key", async () => {
+		const log = await writeEntries(2);
+		const entries = readEntries();
+		entries[1].account = "account9";
+		const { hash, ...body } = entries[1];
+		entries[1].hash = crypto.createHash("sha256").update(JSON.stringify(body)).digest("hex");
+		fs.writeFileSync(logPath, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(""));
+		fs.writeFileSync(`${logPath}.head`, JSON.stringify({ seq: 2, hash: entries[1].hash }));
+
+		const result = await log.verify();
+		assert.strictEqual(result.line, 2);
+		assert.match(result.reason, /modified/);
+		assert.deepStrictEqual(await new AuditLog(logPath, { keychain: memoryKeychain() }).verify(), {
+			valid: false,
+			entries: 0,
+			line: 1,
+			reason: "the audit chain key is missing from the keychain"
+		});
+	});
+
+	it("should detect removed entries", async () => {
+		const log = await writeEntries(3);
+		const lines = fs.readFileSync(logPath, "utf8").split("\n");
+		fs.writeFileSync(logPath, [lines[0], lines[2], ""].join("\n"));
+
+		const result = await log.verify();
+		assert.strictEqual(result.valid, false);
+		assert.strictEqual(result.line, 2);
+	});
+
+	it("should detect truncation", async () => {
+		const log = await writeEntries(3);
+		const lines = fs.readFileSync(logPath, "utf8").split("\n");
+		fs.writeFileSync(logPath, [lines[0], lines[1], ""].join("\n"));
+
+		const result = await log.verify();
+		assert.strictEqual(result.valid, false);
+		assert.match(result.reason, /truncated/);
+	});
+
+	it("should record TaemnoOS operations without values", async () => {
+		const store = new Map();
+		const taemnoOS = new TaemnoOS({
+			audit: new AuditLog(logPath, { keychain }),
+			provider: {
+				set: async (service, account, secret) => store.set(account, secret),
+				get: async (service, account) => {
+					if (!store.has(account)) throw new TaemnoError("Secret not found", ErrorCodes.NOT_FOUND);
+					return store.get(account);
+				},
+				exists: async (service, account) => store.has(account),
+				delete: async (service, account) => store.delete(account)
+			}
+		});
+
+		await taemnoOS.set("service", "account", "top-secret-value");
+		await taemnoOS.get("service", "account");
+		await taemnoOS.resolveEnvironment({ KEY: "$(taemno os://service/account)" });
+		await taemnoOS.delete("service", "account");
+		await assert.rejects(taemnoOS.get("service", "account"));
+
+		assert.deepStrictEqual(readEntries().map(({ operation, provider, service, account, outcome }) => ({ operation, provider, service, account, outcome })), [
+			{ operation: "set", provider: "os", service: "service", account: "account", outcome: "ok" },
+			{ operation: "get", provider: "os", service: "service", account: "account", outcome: "ok" },
+			{ operation: "resolve", provider: "os", service: "service", account: "account", outcome: "ok" },
+			{ operation: "delete", provider: "os", service: "service", account: "account", outcome: "ok" },
+			{ operation: "get", provider: "os", service: "service", account: "account", outcome: "NOT_FOUND" }
+		]);
+		assert.ok(!fs.readFileSync(logPath, "utf8").includes("top-secret-value"));
+		assert.strictEqual((await taemnoOS.audit.verify()).valid, true);
+	});
+});
@@ -0,0 +1,89 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+
+const require = createRequire(import.meta.url);
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+// Point the provider at the fake security tool before it is loaded
+process.env.TAEMNO_SECURITY = path.join(fixtures, "security");
+const darwinProvider = require("../src/providers/darwin.js");
+const { parseDump } = darwinProvider;
+
+describe("darwin provider", () => {
+	let tmpDir;
+	let logPath;
+
+	const calls = () => fs.readFileSync(logPath, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+
+	before(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-darwin-"));
+		logPath = path.join(tmpDir, "calls.jsonl");
+		process.env.FAKE_SECURITY_STORE = path.join(tmpDir, "store.json");
+		process.env.FAKE_SECURITY_LOG = logPath;
+	});
+
+	beforeEach(() => {
+		fs.writeFileSync(logPath, "");
+	});
+
+	after(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+		delete process.env.FAKE_SECURITY_STORE;
+		delete process.env.FAKE_SECURITY_LOG;
+	});
+
+	it("should pass the keychain as the trailing operand", async () => {
+		const keychain = darwinProvider.withKeychain("staging.keychain");
+
+		assert.strictEqual(await keychain.set("service", "account", "s3cret"), true);
+		assert.strictEqual(await keychain.get("service", "account"), "s3cret");
+		assert.strictEqual(await keychain.exists("service", "account"), true);
+		assert.strictEqual(await keychain.delete("service", "account"), true);
+
+		assert.deepStrictEqual(calls(), [
+			["delete-generic-password", "-s", "service", "-a", "account", "staging.keychain"],
+			["add-generic-password", "-s", "service", "-a", "account", "-U", "staging.keychain", "-w"],
+			["find-generic-password", "-s", "service", "-a", "account", "-w", "staging.keychain"],
+			["find-generic-password", "-s", "service", "-a", "account", "-w", "staging.keychain"],
+			["delete-generic-password", "-s", "service", "-a", "account", "staging.keychain"]
+		]);
+	});
+
+	it("should leave items of other keychains alone", async () => {
+		await darwinProvider.set("service", "account", "default");
+		await darwinProvider.withKeychain("staging.keychain").set("service", "account", "staging");
+
+		assert.strictEqual(await darwinProvider.get("service", "account"), "default");
+		assert.deepStrictEqual(calls()[0], ["delete-generic-password", "-s", "service", "-a", "account"]);
+		assert.deepStrictEqual(calls()[2], ["delete-generic-password", "-s", "service", "-a", "account", "staging.keychain"]);
+	});
+
+	it("should read names from dump-keychain output", () => {
+		const output = [
+			"keychain: \"/Users/me/Library/Keychains/login.keychain-db\"",
+			"class: \"genp\"",
+			"attributes:",
+			"    \"acct\"<blob>=\"password\"",
+			"    \"svce\"<blob>=\"team/app/db\"",
+			"class: \"genp\"",
+			"attributes:",
+			"    \"acct\"<blob>=\"cl\\303\\251 \\\"quoted\\\"\"",
+			"    \"svce\"<blob>=0xE697A5E69CAC  \"\\346\\227\\245\\346\\234\\254\"",
+			"class: \"inet\"",
+			"attributes:",
+			"    \"acct\"<blob>=\"web\"",
+			"    \"svce\"<blob>=\"site\"",
+			""
+		].join("\n");
+
+		assert.deepStrictEqual(parseDump(output), [
+			{ service: "team/app/db", account: "password" },
+			{ service: "日本", account: "clé \"quoted\"" }
+		]);
+	});
+});
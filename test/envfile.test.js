@@ -0,0 +1,88 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { parseEnv, EnvSyntaxError } from "../src/index.js";
+
+describe("parseEnv", () => {
+	it("should parse plain assignments and skip comments", () => {
+		const content = [
+			"# comment",
+			"",
+			"FOO=bar",
+			"  SPACED = value with spaces  ",
+			"EMPTY=",
+			"INLINE=value # trailing comment",
+			"HASH=a#b",
+			"export EXPORTED=yes"
+		].join("\n");
+
+		assert.deepStrictEqual(parseEnv(content, { env: {} }), {
+			FOO: "bar",
+			SPACED: "value with spaces",
+			EMPTY: "",
+			INLINE: "value",
+			HASH: "a#b",
+			EXPORTED: "yes"
+		});
+	});
+
+	it("should handle quoted and multiline values", () => {
+		const content = [
+			"SINGLE='literal $HOME \\n ${FOO}'",
+			"DOUBLE=\"tab\\there \\\"quoted\\\" # not a comment\" # comment",
+			"MULTI=\"line one",
+			"line two\"",
+			"CERT='-----BEGIN-----",
+			"abc",
+			"-----END-----'",
+			"BACKTICK=`it's`"
+		].join("\n");
+
+		assert.deepStrictEqual(parseEnv(content, { env: {} }), {
+			SINGLE: "literal $HOME \\n ${FOO}",
+			DOUBLE: "tab\there \"quoted\" # not a comment",
+			MULTI: "line one\nline two",
+			CERT: "-----BEGIN-----\nabc\n-----END-----",
+			BACKTICK: "it's"
+		});
+	});
+
+	it("should interpolate variables", () => {
+		const content = [
+			"HOST=localhost",
+			"URL=http://${HOST}:${PORT}/",
+			"QUOTED=\"${HOST}\"",
+			"FALLBACK=${MISSING:-default}",
+			"ESCAPED=\\${HOST}",
+			"LITERAL='${HOST}'",
+			"REFERENCE=$(taemno os://service/account)"
+		].join("\n");
+
+		assert.deepStrictEqual(parseEnv(content, { env: { PORT: "8080" } }), {
+			HOST: "localhost",
+			URL: "http://localhost:8080/",
+			QUOTED: "localhost",
+			FALLBACK: "default",
+			ESCAPED: "${HOST}",
+			LITERAL: "${HOST}",
+			REFERENCE: "$(taemno os://service/account)"
+		});
+	});
+
+	it("should accept CRLF line endings", () => {
+		assert.deepStrictEqual(parseEnv("A=1\r\nB=\"2\"\r\n", { env: {} }), { A: "1", B: "2" });
+	});
+
+	it("should report syntax errors with line and column", () => {
+		assert.throws(() => parseEnv("A=1\nB 2\n", { filename: ".env" }), (error) => {
+			assert.ok(error instanceof EnvSyntaxError);
+			assert.strictEqual(error.line, 2);
+			assert.strictEqual(error.column, 3);
+			assert.match(error.message, /Expected "=" after B at \.env:2:3/);
+			return true;
+		});
+
+		assert.throws(() => parseEnv("A=1\nB=\"open\nC=3\n"), { line: 2, column: 3 });
+		assert.throws(() => parseEnv("A='x' junk\n"), { line: 1, column: 7 });
+		assert.throws(() => parseEnv("=value\n"), { line: 1, column: 1 });
+	});
+});
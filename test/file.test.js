@@ -0,0 +1,117 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createFileProvider } from "../src/providers/file.js";
+import { TaemnoOS } from "../src/index.js";
+
+describe("file vault provider", () => {
+	let tmpDir;
+	let vaultPath;
+	let provider;
+
+	before(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-vault-"));
+		vaultPath = path.join(tmpDir, "vault.json");
+		provider = createFileProvider({ path: vaultPath, passphrase: "correct horse" });
+	});
+
+	after(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	it("should store and retrieve secrets", async () => {
+		assert.strictEqual(await provider.set("service", "account", "s3cret"), true);
+		assert.strictEqual(await provider.set("service", "other", "another"), true);
+		assert.strictEqual(await provider.get("service", "account"), "s3cret");
+		assert.strictEqual(await provider.get("service", "other"), "another");
+	});
+
+	it("should not store plaintext on disk", () => {
+		const contents = fs.readFileSync(vaultPath, "utf8");
+		assert.ok(!contents.includes("s3cret"));
+		assert.strictEqual(JSON.parse(contents).cipher, "aes-256-gcm");
+		assert.strictEqual(fs.statSync(vaultPath).mode & 0o777, 0o600);
+	});
+
+	it("should report existence and delete secrets", async () => {
+		assert.strictEqual(await provider.exists("service", "account"), true);
+		assert.strictEqual(await provider.delete("service", "account"), true);
+		assert.strictEqual(await provider.delete("service", "account"), false);
+		assert.strictEqual(await provider.exists("service", "account"), false);
+		await assert.rejects(provider.get("service", "account"), /Secret not found: service\/account/);
+	});
+
+	it("should list secrets", async () => {
+		await provider.set("listing", "b", "1");
+		await provider.set("listing", "a", "2");
+
+		assert.deepStrictEqual(await provider.list("listing"), [{ service: "listing", account: "b" }, { service: "listing", account: "a" }]);
+		assert.ok((await provider.list()).length >= 3);
+	});
+
+	it("should reject a wrong passphrase", async () => {
+		const wrong = createFileProvider({ path: vaultPath, passphrase: "wrong" });
+		await assert.rejects(wrong.get("service", "other"), /wrong passphrase/);
+	});
+
+	it("should derive the key from a key file", async () => {
+		const keyFile = path.join(tmpDir, "vault.key");
+		fs.writeFileSync(keyFile, "key material", { mode: 0o600 });
+		const keyed = createFileProvider({ path: path.join(tmpDir, "keyed.json"), keyFile });
+
+		await keyed.set("service", "account", "value");
+		assert.strictEqual(await keyed.get("service", "account"), "value");
+	});
+
+	it("should prefer an explicit key file to the passphrase in the environment", async () => {
+		const keyFile = path.join(tmpDir, "vault.key");
+		const previous = process.env.TAEMNO_VAULT_PASSPHRASE;
+		process.env.TAEMNO_VAULT_PASSPHRASE = "from the environment";
+		try {
+			const keyed = createFileProvider({ path: path.join(tmpDir, "keyed.json"), keyFile });
+			assert.strictEqual(await keyed.get("service", "account"), "value");
+		} finally {
+			if (previous === undefined) {
+				delete process.env.TAEMNO_VAULT_PASSPHRASE;
+			} else {
+				process.env.TAEMNO_VAULT_PASSPHRASE = previous;
+			}
+		}
+	});
+
+	it("should refuse a vault readable by other users", async () => {
+		fs.chmodSync(vaultPath, 0o644);
+		try {
+			await assert.rejects(provider.get("service", "other"), /accessible by other users/);
+		} finally {
+			fs.chmodSync(vaultPath, 0o600);
+		}
+	});
+
+	it("should serialize concurrent writes", async () => {
+		await Promise.all(Array.from({ length: 5 }, (_, i) => provider.set("concurrent", `account${i}`, `value${i}`)));
+		for (let i = 0; i < 5; i++) {
+			assert.strictEqual(await provider.get("concurrent", `account${i}`), `value${i}`);
+		}
+		assert.ok(!fs.existsSync(`${vaultPath}.lock`));
+	});
+
+	it("should resolve references through TaemnoOS", async () => {
+		const taemnoOS = new TaemnoOS({ provider });
+
+		const resolvedEnv = await taemnoOS.resolveEnvironment({ DB_PASSWORD: "$(taemno os://service/other)" });
+		assert.deepStrictEqual(resolvedEnv, { DB_PASSWORD: "another" });
+	});
+
+	it("should resolve nested services and Unicode names", async () => {
+		const taemnoOS = new TaemnoOS({ provider });
+		// Decomposed "é" is stored in its composed form
+		await taemnoOS.set("team/app/db", "mot de passe e\u0301", "nested");
+
+		const resolvedEnv = await taemnoOS.resolveEnvironment({ DB: "$(taemno os://team/app/db/mot%20de%20passe%20%C3%A9)" });
+		assert.deepStrictEqual(resolvedEnv, { DB: "nested" });
+		assert.deepStrictEqual(await provider.list("team/app/db"), [{ service: "team/app/db", account: "mot de passe \u00e9" }]);
+	});
+});
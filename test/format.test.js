@@ -0,0 +1,63 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { spawnSync } from "node:child_process";
+import { formatEnv } from "../src/format.js";
+import { parseEnv } from "../src/index.js";
+
+const tricky = "it's a \"quoted\" $HOME `cmd` \\ value\nsecond line";
+
+describe("formatEnv", () => {
+	it("should write dotenv that parses back to the same values", () => {
+		const env = { PLAIN: "value", TRICKY: tricky, EMPTY: "" };
+		const output = formatEnv(env);
+
+		assert.match(output, /^PLAIN=value\n/);
+		assert.deepStrictEqual(parseEnv(output, { env: {} }), env);
+	});
+
+	it("should write shell exports that survive eval", () => {
+		const output = formatEnv({ TRICKY: tricky, OTHER: "x" }, "shell");
+		const result = spawnSync("sh", ["-c", `${output}printf %s "$TRICKY"`], { encoding: "utf8", env: {} });
+
+		assert.strictEqual(result.stdout, tricky);
+	});
+
+	it("should reject names a shell cannot assign", () => {
+		assert.throws(() => formatEnv({ "my.key": "x" }, "shell"), /not a valid variable name for shell/);
+		assert.throws(() => formatEnv({ "my-key": "x" }, "fish"), /not a valid variable name for fish/);
+	});
+
+	it("should quote for fish and PowerShell", () => {
+		assert.strictEqual(formatEnv({ KEY: "a'b\\c" }, "fish"), "set -gx KEY 'a\\'b\\\\c'\n");
+		assert.strictEqual(formatEnv({ KEY: "it's $x" }, "powershell"), "$env:KEY = 'it''s $x'\n");
+		assert.strictEqual(formatEnv({ "my.key": "x" }, "powershell"), "${env:my.key} = 'x'\n");
+	});
+
+	it("should write JSON and YAML", () => {
+		assert.deepStrictEqual(JSON.parse(formatEnv({ TRICKY: tricky }, "json")), { TRICKY: tricky });
+		assert.strictEqual(formatEnv({ KEY: "a: b\nc", yes: "1" }, "yaml"), "KEY: \"a: b\\nc\"\n\"yes\": \"1\"\n");
+	});
+
+	it("should write docker env files and reject multiline values", () => {
+		assert.strictEqual(formatEnv({ KEY: "a \"b\" $c" }, "docker"), "KEY=a \"b\" $c\n");
+		assert.throws(() => formatEnv({ KEY: "a\nb" }, "docker"), /KEY contains a newline/);
+	});
+
+	it("should escape systemd environment files", () => {
+		assert.strictEqual(formatEnv({ KEY: "a\"b\\c$d`e\nf" }, "systemd"), "KEY=\"a\\\"b\\\\c\\$d\\`e\nf\"\n");
+	});
+
+	it("should use heredoc delimiters for GitHub Actions", () => {
+		const output = formatEnv({ KEY: tricky }, "github");
+		const [first, ...rest] = output.trimEnd().split("\n");
+		const [, delimiter] = /^KEY<<(ghadelimiter_[0-9a-f-]+)$/.exec(first);
+
+		assert.strictEqual(rest.pop(), delimiter);
+		assert.strictEqual(rest.join("\n"), tricky);
+	});
+
+	it("should reject unknown formats", () => {
+		assert.throws(() => formatEnv({}, "xml"), /Unknown format "xml"/);
+		assert.strictEqual(formatEnv({}, "shell"), "");
+	});
+});
@@ -0,0 +1,44 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { generateSecret, versionedAccount, CHARSETS } from "../src/generate.js";
+import { ErrorCodes } from "../src/errors.js";
+
+describe("generateSecret", () => {
+	it("should generate alphanumeric passwords by default", () => {
+		const secret = generateSecret();
+
+		assert.match(secret, /^[A-Za-z0-9]{32}$/);
+		assert.notStrictEqual(generateSecret(), secret);
+	});
+
+	it("should use named and custom charsets", () => {
+		assert.match(generateSecret({ length: 12, charset: "numeric" }), /^[0-9]{12}$/);
+		assert.match(generateSecret({ length: 64, charset: "ab" }), /^[ab]{64}$/);
+		assert.ok([...generateSecret({ length: 64, charset: "symbols" })].every((char) => CHARSETS.symbols.includes(char)));
+	});
+
+	it("should generate hex, base64url and uuid values", () => {
+		assert.match(generateSecret({ format: "hex", length: 7 }), /^[0-9a-f]{7}$/);
+		assert.match(generateSecret({ format: "base64url", length: 43 }), /^[A-Za-z0-9_-]{43}$/);
+		assert.match(generateSecret({ format: "uuid" }), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+	});
+
+	it("should reject invalid options", () => {
+		for (const options of [
+			{ format: "morse" },
+			{ length: 0 },
+			{ length: 1.5 },
+			{ format: "uuid", length: 10 },
+			{ format: "hex", charset: "numeric" },
+			{ charset: "aaaa" }
+		]) {
+			assert.throws(() => generateSecret(options), { code: ErrorCodes.INVALID_VALUE }, JSON.stringify(options));
+		}
+	});
+});
+
+describe("versionedAccount", () => {
+	it("should append the version to the account", () => {
+		assert.strictEqual(versionedAccount("API_KEY", 2), "API_KEY@v2");
+	});
+});
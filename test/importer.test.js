@@ -0,0 +1,72 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { planImport } from "../src/importer.js";
+import { parseEnv } from "../src/index.js";
+
+describe("planImport", () => {
+	const content = [
+		"# Database",
+		"export DB_PASSWORD=\"p@ss word\" # keep me",
+		"API_KEY=abc123",
+		"",
+		"EMPTY=",
+		"EXISTING=$(taemno os://other/key)",
+		"URL=http://${HOST}/",
+		"CERT='-----BEGIN-----",
+		"body",
+		"-----END-----'",
+		""
+	].join("\n");
+
+	it("should plan secrets and rewrite values in place", () => {
+		const plan = planImport(content, { service: "my app" });
+
+		assert.deepStrictEqual(plan.secrets.map(({ key, value, account, reference }) => ({ key, value, account, reference })), [
+			{ key: "DB_PASSWORD", value: "p@ss word", account: "DB_PASSWORD", reference: "os://my%20app/DB_PASSWORD" },
+			{ key: "API_KEY", value: "abc123", account: "API_KEY", reference: "os://my%20app/API_KEY" },
+			{ key: "CERT", value: "-----BEGIN-----\nbody\n-----END-----", account: "CERT", reference: "os://my%20app/CERT" }
+		]);
+		assert.deepStrictEqual(plan.skipped, [
+			{ key: "EMPTY", reason: "empty value" },
+			{ key: "EXISTING", reason: "already a reference" },
+			{ key: "URL", reason: "uses variable interpolation" }
+		]);
+
+		assert.strictEqual(plan.content, [
+			"# Database",
+			"export DB_PASSWORD=$(taemno os://my%20app/DB_PASSWORD) # keep me",
+			"API_KEY=$(taemno os://my%20app/API_KEY)",
+			"",
+			"EMPTY=",
+			"EXISTING=$(taemno os://other/key)",
+			"URL=http://${HOST}/",
+			"CERT=$(taemno os://my%20app/CERT)",
+			""
+		].join("\n"));
+	});
+
+	it("should produce a file that parses back to references", () => {
+		const { content: rewritten } = planImport(content, { service: "app", scheme: "file" });
+
+		assert.strictEqual(parseEnv(rewritten, { env: {} }).API_KEY, "$(taemno file://app/API_KEY)");
+	});
+
+	it("should only import values that look like secrets when asked to", () => {
+		const plan = planImport("PORT=8080\nNODE_ENV=production\nDB_PASSWORD=Xk9#mQ2$vL7p\n", { service: "app", secretsOnly: true });
+
+		assert.deepStrictEqual(plan.secrets.map(({ key }) => key), ["DB_PASSWORD"]);
+		assert.deepStrictEqual(plan.skipped, [
+			{ key: "PORT", reason: "does not look like a secret" },
+			{ key: "NODE_ENV", reason: "does not look like a secret" }
+		]);
+	});
+
+	it("should leave the scheme out of references when the prefix has it", () => {
+		const options = { service: "app", envPrefix: "$(taemno os://" };
+		const plan = planImport("API_KEY=abc123\n", options);
+
+		assert.strictEqual(plan.content, "API_KEY=$(taemno os://app/API_KEY)\n");
+		assert.strictEqual(plan.secrets[0].reference, "os://app/API_KEY");
+		assert.throws(() => planImport("API_KEY=abc123\n", { ...options, scheme: "file" }), /only allows os:\/\/ secrets/);
+	});
+});
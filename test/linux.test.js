@@ -0,0 +1,101 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { fileURLToPath } from "node:url";
+
+const require = createRequire(import.meta.url);
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+
+// Point the provider at the fake secret-tool and busctl before it is loaded
+process.env.TAEMNO_SECRET_TOOL = path.join(fixtures, "secret-tool");
+process.env.TAEMNO_BUSCTL = path.join(fixtures, "busctl");
+const linuxProvider = require("../src/providers/linux.js");
+
+describe("linux provider", () => {
+	let tmpDir;
+
+	before(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-linux-"));
+		process.env.FAKE_SECRET_TOOL_STORE = path.join(tmpDir, "store.json");
+	});
+
+	after(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+		delete process.env.FAKE_SECRET_TOOL_STORE;
+	});
+
+	it("should store and retrieve a secret", async () => {
+		assert.strictEqual(await linuxProvider.set("service", "account", "s3cret value\n"), true);
+		assert.strictEqual(await linuxProvider.get("service", "account"), "s3cret value\n");
+	});
+
+	it("should overwrite an existing secret", async () => {
+		await linuxProvider.set("service", "other", "first");
+		await linuxProvider.set("service", "other", "second");
+		assert.strictEqual(await linuxProvider.get("service", "other"), "second");
+	});
+
+	it("should report existence", async () => {
+		assert.strictEqual(await linuxProvider.exists("service", "account"), true);
+		assert.strictEqual(await linuxProvider.exists("service", "missing"), false);
+	});
+
+	it("should reject when a secret is not found", async () => {
+		await assert.rejects(linuxProvider.get("service", "missing"), /Secret not found: service\/missing/);
+	});
+
+	it("should delete a secret", async () => {
+		await linuxProvider.set("service", "doomed", "value");
+		assert.strictEqual(await linuxProvider.delete("service", "doomed"), true);
+		assert.strictEqual(await linuxProvider.exists("service", "doomed"), false);
+	});
+
+	it("should list secrets without their values", async () => {
+		await linuxProvider.set("listed", "one", "value-one");
+		await linuxProvider.set("listed", "two", "value-two");
+
+		// Only attributes are read over D-Bus, secret-tool search is never run
+		process.env.FAKE_SECRET_TOOL_NO_SEARCH = "1";
+		let items;
+		try {
+			items = await linuxProvider.list("listed");
+		} finally {
+			delete process.env.FAKE_SECRET_TOOL_NO_SEARCH;
+		}
+		assert.deepStrictEqual(items, [{ service: "listed", account: "one" }, { service: "listed", account: "two" }]);
+		assert.ok(!JSON.stringify(await linuxProvider.list()).includes("value-one"));
+		assert.ok((await linuxProvider.list()).some(({ service }) => service === "service"));
+	});
+
+	it("should round-trip names that look like options or use Unicode", async () => {
+		await linuxProvider.set("team/app/日本", "--all", "dashed");
+		await linuxProvider.set("team/app/日本", "clé avec espace", "unicode");
+
+		assert.strictEqual(await linuxProvider.get("team/app/日本", "--all"), "dashed");
+		assert.strictEqual(await linuxProvider.get("team/app/日本", "clé avec espace"), "unicode");
+		assert.deepStrictEqual((await linuxProvider.list("team/app/日本")).map(({ account }) => account), ["--all", "clé avec espace"]);
+	});
+
+	it("should fall back to secret-tool search without busctl", async () => {
+		await linuxProvider.set("fallback", "pem", "-----BEGIN KEY-----\nattribute.account = forged\n-----END KEY-----");
+		await linuxProvider.set("fallback", "plain", "value");
+
+		process.env.TAEMNO_BUSCTL = path.join(fixtures, "no-such-busctl");
+		delete require.cache[require.resolve("../src/providers/linux.js")];
+		try {
+			const withoutBusctl = require("../src/providers/linux.js");
+			assert.deepStrictEqual(await withoutBusctl.list("fallback"), [{ service: "fallback", account: "pem" }, { service: "fallback", account: "plain" }]);
+		} finally {
+			process.env.TAEMNO_BUSCTL = path.join(fixtures, "busctl");
+			delete require.cache[require.resolve("../src/providers/linux.js")];
+		}
+	});
+
+	it("should reject invalid names", async () => {
+		await assert.rejects(linuxProvider.get("", "account"), { name: "InvalidInputError" });
+		await assert.rejects(linuxProvider.set("service", "a\0b", "value"), { name: "InvalidInputError" });
+	});
+});
@@ -0,0 +1,102 @@
+import { describe, it, before, after, mock } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { TaemnoOS } from "../src/index.js";
+import { layerNames } from "../src/load.js";
+
+describe("load", () => {
+	let tmpDir;
+	let taemnoOS;
+	let mockProvider;
+
+	before(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-load-"));
+		fs.writeFileSync(path.join(tmpDir, ".env"), "HOST=localhost\nPORT=3000\nURL=http://${HOST}:${PORT}\nLEVEL=base\n");
+		fs.writeFileSync(path.join(tmpDir, ".env.local"), "LEVEL=local\n");
+		fs.writeFileSync(path.join(tmpDir, ".env.production"), "HOST=example.com\nLEVEL=production\nTOKEN=$(taemno os://app/token)\n");
+		fs.writeFileSync(path.join(tmpDir, ".env.production.local"), "PORT=${PORT}0\n");
+
+		mockProvider = {
+			set: mock.fn(async () => true),
+			get: mock.fn(async (service, account) => `${service}-${account}`),
+			exists: mock.fn(async () => true),
+			delete: mock.fn(async () => true)
+		};
+		taemnoOS = new TaemnoOS({ provider: mockProvider });
+	});
+
+	after(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	it("should order layers by precedence", () => {
+		assert.deepStrictEqual(layerNames(undefined), [".env", ".env.local"]);
+		assert.deepStrictEqual(layerNames("production"), [".env", ".env.local", ".env.production", ".env.production.local"]);
+		assert.deepStrictEqual(layerNames("test"), [".env", ".env.test", ".env.test.local"]);
+	});
+
+	it("should merge layers, resolve references and report sources", async () => {
+		const { env, sources, files } = await taemnoOS.load({ cwd: tmpDir, nodeEnv: "production" });
+
+		assert.deepStrictEqual(env, {
+			HOST: "example.com",
+			PORT: "30000",
+			URL: "http://localhost:3000",
+			LEVEL: "production",
+			TOKEN: "app-token"
+		});
+		assert.deepStrictEqual(sources, {
+			HOST: path.join(tmpDir, ".env.production"),
+			PORT: path.join(tmpDir, ".env.production.local"),
+			URL: path.join(tmpDir, ".env"),
+			LEVEL: path.join(tmpDir, ".env.production"),
+			TOKEN: path.join(tmpDir, ".env.production")
+		});
+		assert.deepStrictEqual(files, [".env", ".env.local", ".env.production", ".env.production.local"].map((name) => path.join(tmpDir, name)));
+	});
+
+	it("should skip missing files", async () => {
+		const { env, files } = await taemnoOS.load({ cwd: tmpDir, nodeEnv: "staging" });
+
+		assert.strictEqual(env.LEVEL, "local");
+		assert.strictEqual(files.length, 2);
+	});
+
+	it("should merge into process.env without overriding", async () => {
+		const saved = { ...process.env };
+		process.env.LEVEL = "from-process";
+		try {
+			const { env, sources } = await taemnoOS.load({ cwd: tmpDir, nodeEnv: "production", merge: true });
+
+			assert.strictEqual(process.env.LEVEL, "from-process");
+			assert.strictEqual(process.env.TOKEN, "app-token");
+			assert.strictEqual(sources.LEVEL, "process.env");
+			assert.ok(!Object.hasOwn(env, "LEVEL"));
+		} finally {
+			for (const key of ["HOST", "PORT", "URL", "LEVEL", "TOKEN"]) {
+				if (Object.hasOwn(saved, key)) process.env[key] = saved[key];
+				else delete process.env[key];
+			}
+		}
+	});
+
+	it("should interpolate with process.env winning when merging", async () => {
+		const saved = { ...process.env };
+		process.env.HOST = "from-process";
+		try {
+			const { env: layered } = await taemnoOS.load({ cwd: tmpDir, nodeEnv: "production" });
+			assert.strictEqual(layered.URL, "http://localhost:3000");
+
+			const { env } = await taemnoOS.load({ cwd: tmpDir, nodeEnv: "production", merge: true });
+			assert.strictEqual(env.URL, "http://from-process:3000");
+			assert.strictEqual(process.env.URL, "http://from-process:3000");
+		} finally {
+			for (const key of ["HOST", "PORT", "URL", "LEVEL", "TOKEN"]) {
+				if (Object.hasOwn(saved, key)) process.env[key] = saved[key];
+				else delete process.env[key];
+			}
+		}
+	});
+});
@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { TaemnoOS, ErrorCodes } from "../src/index.js";
+import { createProfiles, loadProfiles } from "../src/profiles.js";
+
+/**
+ * In-memory provider, optionally holding several keychains
+ */
+function memoryProvider(keychains = new Map(), keychain = "default") {
+	if (!keychains.has(keychain)) keychains.set(keychain, new Map());
+	const store = keychains.get(keychain);
+	return {
+		keychains,
+		store,
+		set: async (service, account, secret) => store.set(`${service}/${account}`, secret),
+		get: async (service, account) => store.get(`${service}/${account}`),
+		exists: async (service, account) => store.has(`${service}/${account}`),
+		delete: async (service, account) => store.delete(`${service}/${account}`),
+		list: async (service) => [...store.keys()]
+			.map((id) => ({ service: id.slice(0, id.lastIndexOf("/")), account: id.slice(id.lastIndexOf("/") + 1) }))
+			.filter((item) => service === null || item.service === service),
+		withKeychain: (name) => memoryProvider(keychains, name)
+	};
+}
+
+const profiles = {
+	dev: { prefix: "dev/" },
+	prod: { prefix: "prod/", production: true },
+	vault: { keychain: "other" },
+	fileOnly: { prefix: "x-", schemes: ["file"] }
+};
+
+describe("profiles", () => {
+	let provider;
+
+	beforeEach(() => {
+		provider = memoryProvider();
+		provider.store.set("dev/db/password", "dev-secret");
+		provider.store.set("prod/db/password", "prod-secret");
+		provider.store.set("db/password", "unscoped");
+	});
+
+	it("should prefix service names", async () => {
+		const taemnoOS = new TaemnoOS({ provider, profile: "dev", profiles });
+
+		assert.strictEqual(await taemnoOS.get("db", "password"), "dev-secret");
+		const resolved = await taemnoOS.resolveEnvironment({ DB: "$(taemno os://db/password)" });
+		assert.strictEqual(resolved.DB, "dev-secret");
+
+		await taemnoOS.set("api", "key", "k");
+		assert.strictEqual(provider.store.get("dev/api/key"), "k");
+	});
+
+	it("should only list services of the profile, without the prefix", async () => {
+		const taemnoOS = new TaemnoOS({ provider, profile: "dev", profiles });
+
+		assert.deepStrictEqual(await taemnoOS.list(), [{ service: "db", account: "password" }]);
+		assert.deepStrictEqual(await taemnoOS.list("db"), [{ service: "db", account: "password" }]);
+	});
+
+	it("should use a separate keychain", async () => {
+		const taemnoOS = new TaemnoOS({ provider, profile: "vault", profiles });
+
+		await taemnoOS.set("db", "password", "other-secret");
+		assert.strictEqual(provider.keychains.get("other").get("db/password"), "other-secret");
+		assert.strictEqual(provider.store.get("db/password"), "unscoped");
+	});
+
+	it("should refuse a keychain the provider cannot select", async () => {
+		const { withKeychain, ...plain } = provider;
+		const taemnoOS = new TaemnoOS({ provider: plain, profile: "vault", profiles });
+
+		await assert.rejects(taemnoOS.get("db", "password"), { code: ErrorCodes.PROVIDER_UNAVAILABLE });
+	});
+
+	it("should only scope the listed schemes", async () => {
+		const taemnoOS = new TaemnoOS({ provider, profile: "fileOnly", profiles });
+
+		assert.strictEqual(await taemnoOS.get("db", "password"), "unscoped");
+	});
+
+	it("should block production profiles unless confirmed", async () => {
+		const blocked = new TaemnoOS({ provider, profile: "prod", profiles });
+		await assert.rejects(blocked.get("db", "password"), {
+			code: ErrorCodes.ACCESS_DENIED,
+			message: /"prod" is a production profile/
+		});
+		await assert.rejects(blocked.resolveEnvironment({ DB: "$(taemno os://db/password)" }), (error) => {
+			assert.strictEqual(error.failures[0].code, ErrorCodes.ACCESS_DENIED);
+			return true;
+		});
+
+		const confirmed = new TaemnoOS({ provider, profile: "prod", profiles, confirmProduction: true });
+		assert.strictEqual(await confirmed.get("db", "password"), "prod-secret");
+	});
+
+	it("should switch profiles and drop cached values", async () => {
+		const taemnoOS = new TaemnoOS({ provider, profiles, cacheTtl: 60000 });
+		const env = { DB: "$(taemno os://db/password)" };
+
+		assert.strictEqual((await taemnoOS.resolveEnvironment(env)).DB, "unscoped");
+		taemnoOS.useProfile("dev", { profiles });
+		assert.strictEqual((await taemnoOS.resolveEnvironment(env)).DB, "dev-secret");
+		taemnoOS.useProfile(null);
+		assert.strictEqual(taemnoOS.profile, null);
+	});
+
+	it("should reject unknown profiles", async () => {
+		const taemnoOS = new TaemnoOS({ provider, profile: "qa", profiles });
+
+		await assert.rejects(taemnoOS.get("db", "password"), /Unknown profile "qa"/);
+	});
+
+	it("should validate definitions", () => {
+		assert.throws(() => createProfiles({ dev: { prefx: "dev/" } }), /Invalid profile "dev": unknown field "prefx"/);
+		assert.throws(() => createProfiles({ dev: {} }), /expected a prefix or a keychain/);
+		assert.throws(() => createProfiles({ dev: { prefix: "d", production: "yes" } }), /production must be true or false/);
+		assert.throws(() => createProfiles({ "a b": { prefix: "d" } }), /name may only contain/);
+	});
+
+	describe("loadProfiles", () => {
+		let tmpDir;
+
+		beforeEach(() => {
+			tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-profiles-"));
+		});
+
+		afterEach(() => {
+			fs.rmSync(tmpDir, { recursive: true, force: true });
+		});
+
+		it("should read profiles from a file", () => {
+			const file = path.join(tmpDir, "profiles.json");
+			fs.writeFileSync(file, JSON.stringify({ staging: { prefix: "staging." } }));
+
+			assert.deepStrictEqual(loadProfiles(file), {
+				staging: { name: "staging", prefix: "staging.", keychain: null, production: false, schemes: null }
+			});
+		});
+
+		it("should treat a missing file as empty and reject invalid JSON", () => {
+			assert.deepStrictEqual(loadProfiles(path.join(tmpDir, "missing.json")), {});
+
+			const file = path.join(tmpDir, "broken.json");
+			fs.writeFileSync(file, "{");
+			assert.throws(() => loadProfiles(file), { code: ErrorCodes.INVALID_VALUE, message: /Invalid profiles file/ });
+		});
+	});
+});
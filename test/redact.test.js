@@ -0,0 +1,85 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { Readable } from "node:stream";
+import { TaemnoOS, Redactor } from "../src/index.js";
+
+/**
+ * Pass chunks through a redaction stream
+ */
+async function pipeChunks(stream, chunks) {
+	let output = "";
+	for await (const chunk of Readable.from(chunks.map((chunk) => Buffer.from(chunk, "utf8"))).pipe(stream)) {
+		output += chunk;
+	}
+	return output;
+}
+
+describe("redaction", () => {
+	it("should mask values and their encoded forms", () => {
+		const redactor = new Redactor();
+		redactor.add("p@ss word/1");
+
+		assert.strictEqual(redactor.redact("plain p@ss word/1, url p%40ss%20word%2F1"), "plain ***, url ***");
+		assert.strictEqual(redactor.redact(`b64 ${Buffer.from("p@ss word/1").toString("base64")}`), "b64 ***");
+		assert.strictEqual(redactor.redact(`b64url ${Buffer.from("p@ss word/1").toString("base64url")}`), "b64url ***");
+	});
+
+	it("should mask multi-line values line by line and skip short ones", () => {
+		const redactor = new Redactor({ mask: "[redacted]" });
+		redactor.add("-----BEGIN KEY-----\nMIIEvQIBADANBg\n-----END KEY-----\n");
+		redactor.add("on");
+
+		assert.strictEqual(redactor.redact("key: MIIEvQIBADANBg, json: \"-----BEGIN KEY-----\\nMIIEvQIBADANBg\\n-----END KEY-----\\n\""), "key: [redacted], json: \"[redacted]\"");
+		assert.strictEqual(redactor.redact("turned on"), "turned on");
+	});
+
+	it("should mask secrets split across chunks", async () => {
+		const redactor = new Redactor();
+		redactor.add("s3cret-value");
+
+		assert.strictEqual(await pipeChunks(redactor.createStream(), ["token=s3c", "ret-va", "lue end s3cr", "et-valu", "e\n"]), "token=*** end ***\n");
+		assert.strictEqual(await pipeChunks(redactor.createStream(), ["ends with s3cr"]), "ends with s3cr");
+		// "é" split between its two UTF-8 bytes
+		const bytes = Buffer.from("café s3cret-value", "utf8");
+		assert.strictEqual(await pipeChunks(redactor.createStream(), [bytes.subarray(0, 4), bytes.subarray(4)]), "café ***");
+	});
+
+	it("should write held back text once no more arrives", { timeout: 10000 }, async () => {
+		const redactor = new Redactor({ idleFlush: 10 });
+		redactor.add("s3cret-value");
+		const stream = redactor.createStream();
+		let output = "";
+		const shown = new Promise((resolve) => stream.on("data", (chunk) => {
+			output += chunk;
+			if (output === "Password for s") resolve();
+		}));
+
+		stream.write("Password for s");
+		await shown;
+		stream.end("3cret-value\n");
+		await new Promise((resolve) => stream.on("end", resolve));
+		assert.strictEqual(output, "Password for s3cret-value\n");
+	});
+
+	it("should track values TaemnoOS read or resolved", async () => {
+		const secrets = { "db/password": "hunter22", "app/config": "{\"token\":\"abcd1234\"}" };
+		const taemnoOS = new TaemnoOS({
+			agent: false,
+			provider: {
+				set: async () => true,
+				get: async (service, account) => secrets[`${service}/${account}`],
+				exists: async () => true,
+				delete: async () => true
+			}
+		});
+		const stream = taemnoOS.createRedactor();
+
+		assert.strictEqual(taemnoOS.redact("hunter22"), "hunter22");
+		await taemnoOS.resolveEnvironment({ TOKEN: "$(taemno os://app/config?field=token)" });
+		await taemnoOS.get("db", "password");
+		taemnoOS.clearCache();
+
+		assert.strictEqual(taemnoOS.redact("password hunter22, token abcd1234"), "password ***, token ***");
+		assert.strictEqual(await pipeChunks(stream, ["hunter22"]), "***");
+	});
+});
@@ -0,0 +1,152 @@
+import { describe, it, mock } from "node:test";
+import assert from "node:assert";
+import { TaemnoOS, parseReference, formatReference, MalformedReferenceError } from "../src/index.js";
+
+describe("parseReference", () => {
+	it("should parse scheme, service and account", () => {
+		assert.deepStrictEqual(parseReference("file://service/account", "os"), {
+			scheme: "file",
+			service: "service",
+			account: "account",
+			field: null,
+			encoding: null,
+			trim: true,
+			default: undefined,
+			raw: "file://service/account"
+		});
+		assert.strictEqual(parseReference("service/account", "os").scheme, "os");
+	});
+
+	it("should parse modifiers and percent-decoding", () => {
+		const reference = parseReference("os://my%20svc/acct?field=db.password&encoding=base64&trim=false&default=a%26b", "os");
+
+		assert.strictEqual(reference.service, "my svc");
+		assert.strictEqual(reference.field, "db.password");
+		assert.strictEqual(reference.encoding, "base64");
+		assert.strictEqual(reference.trim, false);
+		assert.strictEqual(reference.default, "a&b");
+	});
+
+	it("should reject malformed references", () => {
+		const cases = [
+			["os://service", /Expected service\/account/],
+			["os://service/", /must not be empty/],
+			["os://a/b?color=red", /Unknown modifier "color"/],
+			["os://a/b?trim", /Missing value for modifier "trim"/],
+			["os://a/b?trim=maybe", /trim must be true or false/],
+			["os://a/b?encoding=rot13", /Unsupported encoding "rot13"/],
+			["os://a/b?field=a..b", /Invalid field path/],
+			["os://a/b?field=a&field=b", /Duplicate modifier "field"/],
+			["os://a%zz/b", /Invalid percent-encoding/],
+			["os://team//password", /must not be empty/],
+			["os://team/pass%0Aword", /Invalid account name: .*control characters/],
+			[`os://team/${"x".repeat(256)}`, /Invalid account name: .*255/]
+		];
+
+		for (const [body, message] of cases) {
+			assert.throws(() => parseReference(body, "os"), (error) => {
+				assert.ok(error instanceof MalformedReferenceError, body);
+				assert.match(error.message, message);
+				return true;
+			});
+		}
+	});
+
+	it("should take the last segment as account and the rest as nested service", () => {
+		const reference = parseReference("os://team/app/db/password", "os");
+
+		assert.strictEqual(reference.service, "team/app/db");
+		assert.strictEqual(reference.account, "password");
+	});
+
+	it("should normalize Unicode names", () => {
+		// "é" as e followed by a combining acute accent
+		const reference = parseReference("os://caf%65%CC%81/clé", "os");
+
+		assert.strictEqual(reference.service, "caf\u00e9");
+		assert.strictEqual(reference.account, "cl\u00e9");
+	});
+
+	it("should format references that parse back to the same names", () => {
+		const names = [
+			{ service: "team/app/db", account: "password" },
+			{ service: "my service", account: "key (old)" },
+			{ service: "日本", account: "a?b#c&d=e%f" },
+			{ service: "$HOME", account: "it's \"quoted\"" }
+		];
+
+		for (const { service, account } of names) {
+			const formatted = formatReference({ scheme: "file", service, account });
+			assert.ok(!/[\s()]/.test(formatted), formatted);
+			assert.deepStrictEqual(
+				(({ scheme, service, account }) => ({ scheme, service, account }))(parseReference(formatted, "os")),
+				{ scheme: "file", service, account }
+			);
+		}
+		assert.strictEqual(formatReference({ service: "team/app", account: "db password" }), "team/app/db%20password");
+	});
+});
+
+describe("reference modifiers", () => {
+	const secrets = {
+		"app/json": JSON.stringify({ db: { password: "pa55", port: 5432 }, hosts: ["a", "b"] }),
+		"app/cert": Buffer.from("-----BEGIN CERT-----\n").toString("base64"),
+		"app/padded": "  spaced  \n"
+	};
+	const provider = {
+		set: mock.fn(async () => true),
+		get: mock.fn(async (service, account) => {
+			if (!Object.hasOwn(secrets, `${service}/${account}`)) throw new Error("Secret not found");
+			return secrets[`${service}/${account}`];
+		}),
+		exists: mock.fn(async (service, account) => Object.hasOwn(secrets, `${service}/${account}`)),
+		delete: mock.fn(async () => true)
+	};
+	const taemnoOS = new TaemnoOS({ provider });
+
+	it("should extract JSON fields, decode and trim", async () => {
+		const resolvedEnv = await taemnoOS.resolveEnvironment({
+			PASSWORD: "$(taemno os://app/json?field=db.password)",
+			PORT: "$(taemno os://app/json?field=db.port)",
+			HOST: "$(taemno os://app/json?field=hosts.1)",
+			CERT: "$(taemno os://app/cert?encoding=base64&trim=false)",
+			TRIMMED: "[$(taemno os://app/padded)]",
+			RAW: "[$(taemno os://app/padded?trim=false)]"
+		});
+
+		assert.deepStrictEqual(resolvedEnv, {
+			PASSWORD: "pa55",
+			PORT: "5432",
+			HOST: "b",
+			CERT: "-----BEGIN CERT-----\n",
+			TRIMMED: "[spaced]",
+			RAW: "[  spaced  \n]"
+		});
+	});
+
+	it("should fall back to defaults", async () => {
+		const resolvedEnv = await taemnoOS.resolveEnvironment({
+			MISSING: "$(taemno os://app/missing?default=fallback)",
+			MISSING_FIELD: "$(taemno os://app/json?field=db.user&default=postgres)"
+		});
+
+		assert.deepStrictEqual(resolvedEnv, { MISSING: "fallback", MISSING_FIELD: "postgres" });
+	});
+
+	it("should report bad values", async () => {
+		await assert.rejects(taemnoOS.resolveEnvironment({ KEY: "$(taemno os://app/padded?field=x)" }), /not valid JSON/);
+		await assert.rejects(taemnoOS.resolveEnvironment({ KEY: "$(taemno os://app/json?field=nope)" }), /Field "nope" not found/);
+		await assert.rejects(taemnoOS.resolveEnvironment({ KEY: "$(taemno os://app/padded?encoding=hex)" }), /not valid hex/);
+	});
+
+	it("should share the parser with verifyEnvironment", async () => {
+		const result = await taemnoOS.verifyEnvironment({
+			DEFAULTED: "$(taemno os://app/missing?default=x)",
+			MISSING: "$(taemno os://app/missing?field=a)"
+		});
+		assert.deepStrictEqual(result.missingSecrets.map(({ key, code }) => ({ key, code })), [{ key: "MISSING", code: "NOT_FOUND" }]);
+
+		const malformed = await taemnoOS.verifyEnvironment({ BAD: "$(taemno os://a//c)" });
+		assert.ok(malformed.missingSecrets[0].cause instanceof MalformedReferenceError);
+	});
+});
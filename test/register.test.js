@@ -0,0 +1,69 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const register = path.join(root, "register.js");
+
+describe("register preload", () => {
+	let tmpDir;
+	let env;
+
+	function run(preload, script, extraEnv = {}) {
+		return spawnSync(process.execPath, [preload, register, "-e", script], {
+			env: { ...env, ...extraEnv },
+			encoding: "utf8",
+			timeout: 30000
+		});
+	}
+
+	before(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-register-"));
+		env = {
+			PATH: process.env.PATH,
+			TAEMNO_PROVIDER: "file",
+			TAEMNO_VAULT_PATH: path.join(tmpDir, "vault.json"),
+			TAEMNO_VAULT_PASSPHRASE: "passphrase"
+		};
+		const result = spawnSync(process.execPath, [path.join(root, "bin", "taemno.js"), "set", "service", "account", "s3cret"], { env, timeout: 30000 });
+		assert.strictEqual(result.status, 0);
+	});
+
+	after(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	it("should resolve process.env before user code runs", () => {
+		for (const preload of ["-r", "--import"]) {
+			const result = run(preload, "console.log(process.env.SECRET, process.env.PLAIN)", {
+				SECRET: "$(taemno os://service/account)",
+				PLAIN: "value"
+			});
+
+			assert.strictEqual(result.status, 0, result.stderr);
+			assert.strictEqual(result.stdout, "s3cret value\n");
+		}
+	});
+
+	it("should load TAEMNO_ENV_FILE", () => {
+		const envFile = path.join(tmpDir, ".env");
+		fs.writeFileSync(envFile, "URL=postgres://app:$(taemno os://service/account)@db/app\n");
+
+		const result = run("-r", "console.log(process.env.URL)", { TAEMNO_ENV_FILE: envFile });
+
+		assert.strictEqual(result.status, 0, result.stderr);
+		assert.strictEqual(result.stdout, "postgres://app:s3cret@db/app\n");
+	});
+
+	it("should fail before user code runs when a reference cannot be resolved", () => {
+		const result = run("-r", "console.log('started')", { SECRET: "$(taemno os://service/missing)" });
+
+		assert.strictEqual(result.status, 1);
+		assert.strictEqual(result.stdout, "");
+		assert.match(result.stderr, /^taemno-env: Failed to resolve secret for SECRET: Secret not found/);
+	});
+});
@@ -0,0 +1,94 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert";
+import { TaemnoOS, ResolutionError, ErrorCodes } from "../src/index.js";
+import { detectFormat } from "../src/render.js";
+
+const values = {
+	password: "p\"a's\\s\nword",
+	plain: "s3cret",
+	url: "postgres://db:5432/app"
+};
+
+describe("render", () => {
+	let taemnoOS;
+
+	beforeEach(() => {
+		taemnoOS = new TaemnoOS({
+			provider: {
+				set: mock.fn(async () => true),
+				get: mock.fn(async (service, account) => values[account]),
+				exists: mock.fn(async () => true),
+				delete: mock.fn(async () => true)
+			}
+		});
+	});
+
+	it("should detect formats from file names", () => {
+		assert.strictEqual(detectFormat("config.json"), "json");
+		assert.strictEqual(detectFormat("config.yaml.tmpl"), "yaml");
+		assert.strictEqual(detectFormat("config.YML"), "yaml");
+		assert.strictEqual(detectFormat("app.ini"), "raw");
+	});
+
+	it("should escape values inside and as JSON strings", async () => {
+		const template = "{\n  \"password\": \"$(taemno os://app/password)\",\n  \"dsn\": \"user:$(taemno os://app/password)@host\",\n  \"bare\": $(taemno os://app/password)\n}\n";
+
+		const rendered = await taemnoOS.render(template, { filename: "config.json" });
+
+		assert.deepStrictEqual(JSON.parse(rendered), {
+			password: values.password,
+			dsn: `user:${values.password}@host`,
+			bare: values.password
+		});
+	});
+
+	it("should escape values for each YAML scalar style", async () => {
+		const template = [
+			"# don't touch: $(taemno os://app/plain)",
+			"double: \"$(taemno os://app/password)\"",
+			"single: 'it''s $(taemno os://app/plain)'",
+			"whole: $(taemno os://app/password) # comment",
+			"embedded: prefix-$(taemno os://app/plain)",
+			"list:",
+			"  - $(taemno os://app/url)",
+			"flow: [$(taemno os://app/password), x]",
+			""
+		].join("\n");
+
+		const rendered = await taemnoOS.render(template, { format: "yaml" });
+
+		assert.strictEqual(rendered, [
+			"# don't touch: s3cret",
+			"double: \"p\\\"a's\\\\s\\nword\"",
+			"single: 'it''s s3cret'",
+			"whole: \"p\\\"a's\\\\s\\nword\" # comment",
+			"embedded: prefix-s3cret",
+			"list:",
+			"  - \"postgres://db:5432/app\"",
+			"flow: [\"p\\\"a's\\\\s\\nword\", x]",
+			""
+		].join("\n"));
+	});
+
+	it("should refuse values a YAML context cannot hold", async () => {
+		await assert.rejects(taemnoOS.render("key: 'x $(taemno os://app/password)'\n", { format: "yaml", filename: "c.yaml" }), {
+			code: ErrorCodes.INVALID_VALUE,
+			message: /^c\.yaml:1:9: value has a line break/
+		});
+		await assert.rejects(taemnoOS.render("key: x-$(taemno os://app/password)\n", { format: "yaml" }), /unquoted YAML scalar/);
+	});
+
+	it("should insert raw values for other formats", async () => {
+		const rendered = await taemnoOS.render("[db]\npassword = $(taemno os://app/plain)\n", { filename: "app.ini" });
+
+		assert.strictEqual(rendered, "[db]\npassword = s3cret\n");
+	});
+
+	it("should report failing references by template position", async () => {
+		await assert.rejects(taemnoOS.render("a: 1\nb: $(taemno os://app)\n", { filename: "c.yaml" }), (error) => {
+			assert.ok(error instanceof ResolutionError);
+			assert.strictEqual(error.failures[0].key, "c.yaml:2:4");
+			return true;
+		});
+	});
+});
@@ -0,0 +1,143 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert";
+import { parseSchema, validateEnv } from "../src/schema.js";
+import { createReferencePattern } from "../src/utility.js";
+import { TaemnoOS, SchemaError, EnvSyntaxError } from "../src/index.js";
+
+const referencePattern = createReferencePattern("$(taemno ", ")");
+
+const schemaFile = [
+	"# Service configuration",
+	"DATABASE_URL=url required secret",
+	"PORT=int default=3000",
+	"LOG_LEVEL=enum values=debug|info|warn default=info",
+	"DEBUG=bool",
+	"API_KEY=string required secret format=\"^sk_(live|test)_\"",
+	""
+].join("\n");
+
+describe("parseSchema", () => {
+	it("should parse .env.schema rules", () => {
+		const schema = parseSchema(schemaFile);
+
+		assert.deepStrictEqual(Object.keys(schema), ["DATABASE_URL", "PORT", "LOG_LEVEL", "DEBUG", "API_KEY"]);
+		assert.deepStrictEqual(schema.DATABASE_URL, { type: "url", required: true, secret: true, default: undefined, format: null, values: null });
+		assert.deepStrictEqual(schema.LOG_LEVEL.values, ["debug", "info", "warn"]);
+		assert.strictEqual(schema.PORT.default, "3000");
+		assert.deepStrictEqual(schema.API_KEY.format, /^sk_(live|test)_/);
+	});
+
+	it("should parse JSON schemas", () => {
+		const schema = parseSchema(JSON.stringify({ PORT: { type: "int", default: 3000 }, MODE: { type: "enum", values: ["a", "b"] } }));
+
+		assert.strictEqual(schema.PORT.default, "3000");
+		assert.deepStrictEqual(schema.MODE.values, ["a", "b"]);
+	});
+
+	it("should point at invalid rules", () => {
+		assert.throws(() => parseSchema("PORT=int\nHOST=hostname\n", ".env.schema"), (error) => {
+			assert.ok(error instanceof EnvSyntaxError);
+			assert.match(error.message, /Unexpected "hostname" in rule for HOST at \.env\.schema:2:1/);
+			return true;
+		});
+		assert.throws(() => parseSchema("MODE=enum\n"), /enum requires values/);
+		assert.throws(() => parseSchema("KEY=string format=[\n"), /Invalid format/);
+		assert.throws(() => parseSchema("{\"PORT\": {\"type\": \"float\"}}"), /Invalid schema for PORT: Unknown type "float"/);
+	});
+});
+
+describe("validateEnv", () => {
+	const schema = parseSchema(schemaFile);
+
+	it("should report every violation", () => {
+		const { violations } = validateEnv(schema, {
+			PORT: "80a",
+			LOG_LEVEL: "verbose",
+			DEBUG: "maybe",
+			API_KEY: "sk_live_0123abcd"
+		}, { referencePattern });
+
+		assert.deepStrictEqual(violations.map(({ key, rule }) => ({ key, rule })), [
+			{ key: "DATABASE_URL", rule: "required" },
+			{ key: "PORT", rule: "type" },
+			{ key: "LOG_LEVEL", rule: "type" },
+			{ key: "DEBUG", rule: "type" },
+			{ key: "API_KEY", rule: "secret" }
+		]);
+		assert.ok(!JSON.stringify(violations).includes("0123abcd"));
+	});
+
+	it("should only check presence of unresolved references", () => {
+		const { violations, config } = validateEnv(schema, {
+			DATABASE_URL: "$(taemno os://app/db)",
+			API_KEY: "$(taemno os://app/key)"
+		}, { referencePattern });
+
+		assert.deepStrictEqual(violations, []);
+		assert.deepStrictEqual(config, { PORT: 3000, LOG_LEVEL: "info" });
+	});
+
+	it("should check resolved values", () => {
+		const env = { DATABASE_URL: "$(taemno os://app/db)", API_KEY: "$(taemno os://app/key)", DEBUG: "yes" };
+		const { violations, config } = validateEnv(schema, env, {
+			referencePattern,
+			resolved: { ...env, DATABASE_URL: "postgres://db/app", API_KEY: "pk_live_123" }
+		});
+
+		assert.deepStrictEqual(violations, [{ key: "API_KEY", rule: "format", message: "does not match /^sk_(live|test)_/" }]);
+		assert.deepStrictEqual(config, { DATABASE_URL: "postgres://db/app", PORT: 3000, LOG_LEVEL: "info", DEBUG: true });
+	});
+});
+
+describe("TaemnoOS schema support", () => {
+	let taemnoOS;
+	let mockProvider;
+
+	beforeEach(() => {
+		mockProvider = {
+			set: mock.fn(async () => true),
+			get: mock.fn(async (service, account) => account === "db" ? "postgres://db/app" : "sk_test_123"),
+			exists: mock.fn(async () => true),
+			delete: mock.fn(async () => true)
+		};
+		taemnoOS = new TaemnoOS({ provider: mockProvider });
+	});
+
+	it("should return typed config", async () => {
+		const config = await taemnoOS.config(parseSchema(schemaFile), {
+			DATABASE_URL: "$(taemno os://app/db)",
+			API_KEY: "$(taemno os://app/key)",
+			PORT: "8080",
+			UNRELATED: "$(taemno os://app/unrelated)"
+		});
+
+		assert.deepStrictEqual(config, {
+			DATABASE_URL: "postgres://db/app",
+			PORT: 8080,
+			LOG_LEVEL: "info",
+			API_KEY: "sk_test_123"
+		});
+		assert.strictEqual(mockProvider.get.mock.calls.length, 2);
+	});
+
+	it("should throw every violation at once", async () => {
+		await assert.rejects(taemnoOS.config({ PORT: { type: "int", required: true }, MODE: { type: "enum", values: ["a"] } }, { MODE: "b" }), (error) => {
+			assert.ok(error instanceof SchemaError);
+			assert.deepStrictEqual(error.violations.map(({ key }) => key), ["PORT", "MODE"]);
+			assert.strictEqual(error.message, "Invalid environment:\n  PORT is required\n  MODE must be one of a");
+			return true;
+		});
+	});
+
+	it("should add violations to verifyEnvironment", async () => {
+		const result = await taemnoOS.verifyEnvironment({ DATABASE_URL: "$(taemno os://app/db)", API_KEY: "plain" }, { schema: parseSchema(schemaFile) });
+
+		assert.strictEqual(result.success, false);
+		assert.deepStrictEqual(result.missingSecrets, []);
+		assert.deepStrictEqual(result.violations.map(({ key, rule }) => ({ key, rule })), [
+			{ key: "API_KEY", rule: "secret" },
+			{ key: "API_KEY", rule: "format" }
+		]);
+		assert.strictEqual(mockProvider.get.mock.calls.length, 0);
+	});
+});
@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { TaemnoOS, ErrorCodes } from "../src/index.js";
+import { createTeamProvider } from "../src/providers/team.js";
+
+/**
+ * Keychain holding one team member's private key
+ */
+function memoryKeychain() {
+	const store = new Map();
+	return {
+		set: async (service, account, secret) => store.set(`${service}/${account}`, secret),
+		get: async (service, account) => {
+			if (!store.has(`${service}/${account}`)) throw Object.assign(new Error("Secret not found"), { code: ErrorCodes.NOT_FOUND });
+			return store.get(`${service}/${account}`);
+		},
+		exists: async (service, account) => store.has(`${service}/${account}`),
+		delete: async (service, account) => store.delete(`${service}/${account}`)
+	};
+}
+
+describe("team provider", () => {
+	let tmpDir;
+	let file;
+	let alice;
+	let bob;
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-team-"));
+		file = path.join(tmpDir, ".taemno", "secrets.enc.json");
+		alice = createTeamProvider({ path: file, keychain: memoryKeychain() });
+		bob = createTeamProvider({ path: file, keychain: memoryKeychain() });
+	});
+
+	afterEach(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	it("should share secrets between recipients", async () => {
+		const { publicKey, created } = await alice.identity();
+		assert.ok(created);
+		assert.match(publicKey, /^[A-Za-z0-9_-]{43}$/);
+		assert.deepStrictEqual(await alice.identity(), { publicKey, created: false });
+
+		assert.strictEqual(await alice.grant("alice", publicKey), true);
+		await alice.set("db", "password", "s3cret");
+		assert.strictEqual(await alice.get("db", "password"), "s3cret");
+
+		await assert.rejects(bob.get("db", "password"), { code: ErrorCodes.PROVIDER_UNAVAILABLE, message: /No team identity/ });
+		const bobKey = (await bob.identity()).publicKey;
+		await assert.rejects(bob.get("db", "password"), { code: ErrorCodes.ACCESS_DENIED, message: /Not a recipient/ });
+
+		assert.strictEqual(await alice.grant("bob", bobKey), false);
+		assert.strictEqual(await bob.get("db", "password"), "s3cret");
+		assert.deepStrictEqual((await bob.recipients()).map(({ name }) => name), ["alice", "bob"]);
+	});
+
+	it("should keep the file free of plaintext and readable for review", async () => {
+		await alice.grant("alice", (await alice.identity()).publicKey);
+		await alice.set("db", "password", "s3cret");
+
+		const contents = fs.readFileSync(file, "utf8");
+		assert.ok(!contents.includes("s3cret"));
+		assert.strictEqual(fs.statSync(file).mode & 0o777, 0o644);
+		assert.deepStrictEqual(JSON.parse(contents).secrets.map(({ service, account }) => [service, account]), [["db", "password"]]);
+	});
+
+	it("should re-encrypt on revoke", async () => {
+		await alice.grant("alice", (await alice.identity()).publicKey);
+		await alice.grant("bob", (await bob.identity()).publicKey);
+		await alice.set("db", "password", "s3cret");
+		const before = JSON.parse(fs.readFileSync(file, "utf8"));
+
+		assert.strictEqual(await alice.revoke("bob"), 1);
+		const after = JSON.parse(fs.readFileSync(file, "utf8"));
+		assert.notStrictEqual(after.secrets[0].data, before.secrets[0].data);
+		assert.deepStrictEqual(after.recipients.map(({ name }) => name), ["alice"]);
+
+		assert.strictEqual(await alice.get("db", "password"), "s3cret");
+		await assert.rejects(bob.get("db", "password"), { code: ErrorCodes.ACCESS_DENIED });
+
+		// The old file key no longer opens the new entries
+		fs.writeFileSync(file, JSON.stringify({ ...after, recipients: before.recipients }));
+		await assert.rejects(bob.get("db", "password"), /Failed to decrypt db\/password/);
+	});
+
+	it("should only create the file with the caller as first recipient", async () => {
+		const bobKey = (await bob.identity()).publicKey;
+		await assert.rejects(alice.grant("bob", bobKey), { code: ErrorCodes.PROVIDER_UNAVAILABLE, message: /No team identity/ });
+
+		await alice.identity();
+		await assert.rejects(alice.grant("bob", bobKey), { code: ErrorCodes.INVALID_VALUE, message: /first recipient must be you/ });
+		assert.ok(!fs.existsSync(file));
+
+		assert.strictEqual(await alice.grant("alice", (await alice.identity()).publicKey), true);
+		await alice.grant("bob", bobKey);
+		await alice.set("db", "password", "s3cret");
+		assert.strictEqual(await bob.get("db", "password"), "s3cret");
+	});
+
+	it("should refuse invalid grants and revokes", async () => {
+		const aliceKey = (await alice.identity()).publicKey;
+		await assert.rejects(alice.grant("alice", "not-a-key"), { code: ErrorCodes.INVALID_VALUE });
+		await assert.rejects(alice.revoke("alice"), /No team file/);
+
+		await alice.grant("alice", aliceKey);
+		await assert.rejects(alice.grant("other", aliceKey), /already belongs to alice/);
+		await assert.rejects(alice.revoke("bob"), { code: ErrorCodes.NOT_FOUND });
+		await assert.rejects(alice.revoke("alice"), /last recipient/);
+	});
+
+	it("should detect entries moved to another name", async () => {
+		await alice.grant("alice", (await alice.identity()).publicKey);
+		await alice.set("db", "password", "s3cret");
+
+		const team = JSON.parse(fs.readFileSync(file, "utf8"));
+		team.secrets[0].account = "other";
+		fs.writeFileSync(file, JSON.stringify(team));
+
+		await assert.rejects(alice.get("db", "other"), /Failed to decrypt/);
+	});
+
+	it("should resolve team:// references", async () => {
+		await alice.grant("alice", (await alice.identity()).publicKey);
+		await alice.set("db", "password", "s3cret");
+
+		const taemnoOS = new TaemnoOS({ providers: { team: alice } });
+		const resolved = await taemnoOS.resolveEnvironment({ DB: "$(taemno team://db/password)" });
+		assert.strictEqual(resolved.DB, "s3cret");
+
+		const verified = await taemnoOS.verifyEnvironment({ A: "$(taemno team://db/password)", B: "$(taemno team://db/missing)" });
+		assert.deepStrictEqual(verified.missingSecrets.map(({ key }) => key), ["B"]);
+	});
+});
@@ -1,6 +1,6 @@
 import { describe, it, beforeEach, afterEach, mock } from "node:test";
 import assert from "node:assert";
-import { TaemnoOS } from "../src/index.js";
+import { TaemnoOS, registerProvider, unregisterProvider, ResolutionError, TaemnoError, ErrorCodes, versionedAccount } from "../src/index.js";
 
 describe("TaemnoOS", () => {
 	let taemnoOS;
@@ -14,15 +14,14 @@ describe("TaemnoOS", () => {
 			exists: mock.fn(async () => true),
 			delete: mock.fn(async () => true)
 		};
-		taemnoOS = new TaemnoOS();
-		taemnoOS.provider = mockProvider;
+		taemnoOS = new TaemnoOS({ provider: mockProvider });
 	});
 
 	afterEach(() => {
-		mockProvider.set.mockClear();
-		mockProvider.get.mockClear();
-		mockProvider.exists.mockClear();
-		mockProvider.delete.mockClear();
+		mockProvider.set.mock.resetCalls();
+		mockProvider.get.mock.resetCalls();
+		mockProvider.exists.mock.resetCalls();
+		mockProvider.delete.mock.resetCalls();
 	});
 
 	describe("resolveEnvironment", () => {
@@ -50,8 +49,8 @@ describe("TaemnoOS", () => {
 				COMPLEX_KEY: "$(taemno os://service1/account1) and $(taemno os://service2/account2)"
 			};
 
-			// Use mock.fn.mockImplementation
-			mockProvider.get.mockImplementation(async (service, account) => {
+			// Use mock.mockImplementation
+			mockProvider.get.mock.mockImplementation(async (service, account) => {
 				if (service === "service1" && account === "account1") return "secret1";
 				if (service === "service2" && account === "account2") return "secret2";
 				return "unknown";
@@ -71,7 +70,7 @@ describe("TaemnoOS", () => {
 				TEST_KEY: "$(taemno os://service/account)"
 			};
 
-			mockProvider.get.mockImplementation(async () => {
+			mockProvider.get.mock.mockImplementation(async () => {
 				throw new Error("Secret not found");
 			});
 
@@ -80,6 +79,46 @@ describe("TaemnoOS", () => {
 				/Failed to resolve secret/
 			);
 		});
+
+		it("should report every failing reference", async () => {
+			const env = {
+				FIRST: "$(taemno os://service/missing)",
+				OK: "$(taemno os://service/account)",
+				SECOND: "$(taemno os://service/denied) $(taemno os://malformed)",
+				THIRD: "$(taemno nope://service/account)"
+			};
+
+			mockProvider.get.mock.mockImplementation(async (service, account) => {
+				if (account === "missing") throw new TaemnoError("Secret not found: service/missing", ErrorCodes.NOT_FOUND);
+				if (account === "denied") throw new TaemnoError("Access denied", ErrorCodes.ACCESS_DENIED);
+				return "test-secret";
+			});
+
+			await assert.rejects(taemnoOS.resolveEnvironment(env), (error) => {
+				assert.ok(error instanceof ResolutionError);
+				assert.ok(error instanceof AggregateError);
+				assert.strictEqual(error.errors.length, 4);
+				assert.deepStrictEqual(error.failures.map(({ key, reference, provider, code }) => ({ key, reference, provider, code })), [
+					{ key: "FIRST", reference: "os://service/missing", provider: "os", code: "NOT_FOUND" },
+					{ key: "SECOND", reference: "os://service/denied", provider: "os", code: "ACCESS_DENIED" },
+					{ key: "SECOND", reference: "os://malformed", provider: "os", code: "MALFORMED_REFERENCE" },
+					{ key: "THIRD", reference: "nope://service/account", provider: "nope", code: "PROVIDER_UNAVAILABLE" }
+				]);
+				assert.match(error.message, /Failed to resolve secrets for 4 references/);
+				return true;
+			});
+		});
+
+		it("should only use defaults for secrets that do not exist", async () => {
+			mockProvider.get.mock.mockImplementation(async () => {
+				throw new TaemnoError("Keychain is locked", ErrorCodes.ACCESS_DENIED);
+			});
+
+			await assert.rejects(
+				taemnoOS.resolveEnvironment({ KEY: "$(taemno os://service/account?default=x)" }),
+				{ name: "ResolutionError", failures: [{ key: "KEY", reference: "os://service/account?default=x", provider: "os", service: "service", account: "account", code: "ACCESS_DENIED", cause: new TaemnoError("Keychain is locked", ErrorCodes.ACCESS_DENIED) }] }
+			);
+		});
 	});
 
 	describe("set", () => {
@@ -120,6 +159,95 @@ describe("TaemnoOS", () => {
 		});
 	});
 
+	describe("list", () => {
+		it("should list sorted secrets", async () => {
+			mockProvider.list = mock.fn(async () => [
+				{ service: "b", account: "x" },
+				{ service: "a", account: "z" },
+				{ service: "a", account: "y" }
+			]);
+
+			const items = await taemnoOS.list("a");
+
+			assert.deepStrictEqual(items, [
+				{ service: "a", account: "y" },
+				{ service: "a", account: "z" },
+				{ service: "b", account: "x" }
+			]);
+			assert.deepStrictEqual(mockProvider.list.mock.calls[0].arguments, ["a"]);
+		});
+
+		it("should fail for providers without list support", async () => {
+			await assert.rejects(taemnoOS.list(), /does not support listing/);
+		});
+	});
+
+	describe("generate and rotate", () => {
+		let store;
+
+		beforeEach(() => {
+			store = new Map();
+			taemnoOS.provider = {
+				set: async (service, account, secret) => store.set(`${service}/${account}`, secret),
+				get: async (service, account) => {
+					if (!store.has(`${service}/${account}`)) throw new TaemnoError("Secret not found", ErrorCodes.NOT_FOUND);
+					return store.get(`${service}/${account}`);
+				},
+				exists: async (service, account) => store.has(`${service}/${account}`),
+				delete: async (service, account) => store.delete(`${service}/${account}`)
+			};
+		});
+
+		it("should generate and store a secret", async () => {
+			const secret = await taemnoOS.generate("service", "account", { format: "hex", length: 40 });
+
+			assert.match(secret, /^[0-9a-f]{40}$/);
+			assert.strictEqual(store.get("service/account"), secret);
+		});
+
+		it("should keep previous values under versioned accounts", async () => {
+			store.set("service/account", "first");
+
+			const rotated = await taemnoOS.rotate("service", "account", { keep: 2 });
+			assert.deepStrictEqual(rotated, { secret: store.get("service/account"), previous: "account@v1" });
+			assert.strictEqual(store.get("service/account@v1"), "first");
+
+			const second = await taemnoOS.rotate("service", "account", { keep: 2 });
+			await taemnoOS.rotate("service", "account", { keep: 2 });
+			assert.strictEqual(store.get("service/account@v1"), second.secret);
+			assert.strictEqual(store.get("service/account@v2"), rotated.secret);
+			assert.ok(!store.has("service/account@v3"));
+		});
+
+		it("should keep the previous value when writing the new one fails", async () => {
+			store.set("service/account", "first");
+			const set = taemnoOS.provider.set;
+			taemnoOS.provider.set = async (service, account, secret) => {
+				if (account === "account") throw new TaemnoError("Keychain is locked", ErrorCodes.PROVIDER_UNAVAILABLE);
+				return await set(service, account, secret);
+			};
+
+			await assert.rejects(taemnoOS.rotate("service", "account"), { code: ErrorCodes.PROVIDER_UNAVAILABLE });
+			assert.strictEqual(store.get("service/account"), "first");
+			assert.strictEqual(await taemnoOS.get("service", versionedAccount("account", 1)), "first");
+		});
+
+		it("should create a secret that does not exist yet", async () => {
+			const rotated = await taemnoOS.rotate("service", "new", { format: "uuid" });
+
+			assert.strictEqual(rotated.previous, null);
+			assert.deepStrictEqual([...store.keys()], ["service/new"]);
+		});
+
+		it("should not write anything for invalid options", async () => {
+			store.set("service/account", "first");
+
+			await assert.rejects(taemnoOS.rotate("service", "account", { format: "morse" }), { code: ErrorCodes.INVALID_VALUE });
+			await assert.rejects(taemnoOS.rotate("service", "account", { keep: 0 }), { code: ErrorCodes.INVALID_VALUE });
+			assert.deepStrictEqual([...store.entries()], [["service/account", "first"]]);
+		});
+	});
+
 	describe("verifyEnvironment", () => {
 		it("should verify all secrets are available", async () => {
 			const env = {
@@ -144,18 +272,199 @@ describe("TaemnoOS", () => {
 				MISSING_KEY: "$(taemno os://missing/account)"
 			};
 
-			mockProvider.exists.mockImplementation(async (service) => {
+			mockProvider.exists.mock.mockImplementation(async (service) => {
 				return service === "service";
 			});
 
 			const result = await taemnoOS.verifyEnvironment(env);
 
-			assert.deepStrictEqual(result, {
-				success: false,
-				missingSecrets: [
-					{ key: "MISSING_KEY", service: "missing", account: "account" }
-				]
+			assert.strictEqual(result.success, false);
+			assert.deepStrictEqual(result.missingSecrets.map(({ cause, ...rest }) => rest), [
+				{
+					key: "MISSING_KEY",
+					reference: "os://missing/account",
+					provider: "os",
+					service: "missing",
+					account: "account",
+					code: "NOT_FOUND"
+				}
+			]);
+			assert.match(result.missingSecrets[0].cause.message, /Secret not found: missing\/account/);
+		});
+
+		it("should report why a secret is unavailable", async () => {
+			const env = {
+				DENIED_KEY: "$(taemno os://denied/account)",
+				BROKEN_KEY: "$(taemno os://broken)"
+			};
+
+			mockProvider.exists.mock.mockImplementation(async () => {
+				throw new TaemnoError("User interaction is not allowed", ErrorCodes.ACCESS_DENIED);
+			});
+
+			const result = await taemnoOS.verifyEnvironment(env);
+
+			assert.deepStrictEqual(result.missingSecrets.map(({ key, code }) => ({ key, code })), [
+				{ key: "DENIED_KEY", code: "ACCESS_DENIED" },
+				{ key: "BROKEN_KEY", code: "MALFORMED_REFERENCE" }
+			]);
+		});
+	});
+
+	describe("providers", () => {
+		let fileProvider;
+
+		beforeEach(() => {
+			fileProvider = {
+				set: mock.fn(async () => true),
+				get: mock.fn(async () => "file-secret"),
+				exists: mock.fn(async () => false),
+				delete: mock.fn(async () => true)
+			};
+		});
+
+		it("should route references by scheme", async () => {
+			taemnoOS.registerProvider("file", fileProvider);
+
+			const resolvedEnv = await taemnoOS.resolveEnvironment({
+				OS_KEY: "$(taemno os://service/account)",
+				FILE_KEY: "$(taemno file://vault/entry)"
+			});
+
+			assert.deepStrictEqual(resolvedEnv, { OS_KEY: "test-secret", FILE_KEY: "file-secret" });
+			assert.deepStrictEqual(fileProvider.get.mock.calls[0].arguments, ["vault", "entry"]);
+		});
+
+		it("should accept providers keyed by scheme in the constructor", async () => {
+			const instance = new TaemnoOS({ providers: { os: mockProvider, file: fileProvider } });
+
+			const result = await instance.verifyEnvironment({
+				OS_KEY: "$(taemno os://service/account)",
+				FILE_KEY: "$(taemno file://vault/entry)"
+			});
+
+			assert.deepStrictEqual(result.missingSecrets.map(({ key, provider }) => ({ key, provider })), [{ key: "FILE_KEY", provider: "file" }]);
+		});
+
+		it("should use the global registry", async () => {
+			registerProvider("test", fileProvider);
+			try {
+				assert.strictEqual(await taemnoOS.get("vault", "entry", "test"), "file-secret");
+			} finally {
+				unregisterProvider("test");
+			}
+		});
+
+		it("should fail for unknown schemes", async () => {
+			await assert.rejects(
+				taemnoOS.resolveEnvironment({ KEY: "$(taemno nope://service/account)" }),
+				/Failed to resolve secret for KEY: No provider registered for nope:\/\//
+			);
+		});
+
+		it("should support a legacy prefix with an implicit scheme", async () => {
+			const instance = new TaemnoOS({ provider: mockProvider, envPrefix: "${secret:", envSuffix: "}" });
+
+			assert.deepStrictEqual(await instance.resolveEnvironment({ KEY: "${secret:service/account}" }), { KEY: "test-secret" });
+		});
+
+		it("should reject incomplete providers", () => {
+			assert.throws(() => taemnoOS.registerProvider("bad", { get() {} }), /must implement set/);
+			assert.throws(() => taemnoOS.registerProvider("Bad Scheme", fileProvider), /Invalid provider scheme/);
+		});
+	});
+
+	describe("resolution", () => {
+		it("should limit concurrent provider calls", async () => {
+			let active = 0;
+			let peak = 0;
+			mockProvider.get.mock.mockImplementation(async (service) => {
+				active++;
+				peak = Math.max(peak, active);
+				await new Promise((resolve) => setTimeout(resolve, 5));
+				active--;
+				return service;
 			});
+
+			const instance = new TaemnoOS({ provider: mockProvider, concurrency: 2 });
+			const env = {};
+			for (let i = 0; i < 6; i++) {
+				env[`KEY${i}`] = `$(taemno os://service${i}/account)`;
+			}
+
+			const resolvedEnv = await instance.resolveEnvironment(env);
+
+			assert.strictEqual(resolvedEnv.KEY5, "service5");
+			assert.strictEqual(mockProvider.get.mock.calls.length, 6);
+			assert.strictEqual(peak, 2);
+		});
+
+		it("should share in-flight requests between calls", async () => {
+			const env = { A: "$(taemno os://service/account)", B: "$(taemno os://service/account?trim=false)" };
+
+			const [first, second] = await Promise.all([taemnoOS.resolveEnvironment(env), taemnoOS.resolveEnvironment(env)]);
+
+			assert.deepStrictEqual(first, second);
+			assert.strictEqual(mockProvider.get.mock.calls.length, 1);
+		});
+
+		it("should cache values for the configured TTL", async (t) => {
+			t.mock.timers.enable({ apis: ["Date"] });
+			const instance = new TaemnoOS({ provider: mockProvider, cacheTtl: 1000 });
+			const env = { KEY: "$(taemno os://service/account)" };
+
+			await instance.resolveEnvironment(env);
+			await instance.resolveEnvironment(env);
+			assert.strictEqual(mockProvider.get.mock.calls.length, 1);
+
+			t.mock.timers.tick(1001);
+			await instance.resolveEnvironment(env);
+			assert.strictEqual(mockProvider.get.mock.calls.length, 2);
+		});
+
+		it("should invalidate the cache on set and delete", async () => {
+			const instance = new TaemnoOS({ provider: mockProvider, cacheTtl: 60000 });
+			const env = { KEY: "$(taemno os://service/account)" };
+
+			await instance.resolveEnvironment(env);
+			await instance.set("service", "account", "new-secret");
+			await instance.resolveEnvironment(env);
+			await instance.delete("service", "account");
+			await instance.resolveEnvironment(env);
+
+			assert.strictEqual(mockProvider.get.mock.calls.length, 3);
+		});
+
+		it("should not keep a value resolved while a set was writing", async () => {
+			let stored = "old-secret";
+			let finishWrite;
+			const provider = {
+				...mockProvider,
+				get: async () => stored,
+				set: async (service, account, secret) => {
+					await new Promise((resolve) => finishWrite = resolve);
+					stored = secret;
+					return true;
+				}
+			};
+			const instance = new TaemnoOS({ provider, cacheTtl: 60000, agent: false });
+			const env = { KEY: "$(taemno os://service/account)" };
+
+			const writing = instance.set("service", "account", "new-secret");
+			assert.deepStrictEqual(await instance.resolveEnvironment(env), { KEY: "old-secret" });
+			finishWrite();
+			await writing;
+
+			assert.deepStrictEqual(await instance.resolveEnvironment(env), { KEY: "new-secret" });
+		});
+
+		it("should not cache by default", async () => {
+			const env = { KEY: "$(taemno os://service/account)" };
+
+			await taemnoOS.resolveEnvironment(env);
+			await taemnoOS.resolveEnvironment(env);
+
+			assert.strictEqual(mockProvider.get.mock.calls.length, 2);
 		});
 	});
-});
\ No newline at end of file
+});
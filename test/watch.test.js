@@ -0,0 +1,117 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { once } from "node:events";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { TaemnoOS, ErrorCodes, TaemnoError } from "../src/index.js";
+
+describe("watch", () => {
+	let tmpDir;
+	let secrets;
+	let failing;
+	let reads;
+	let readWaiters;
+	let taemnoOS;
+	let watcher;
+
+	/**
+	 * Wait until the provider was read a number of times in total. Checks
+	 * run one after the other, so a read also means the previous check is done.
+	 */
+	const readsReached = (count) => new Promise((resolve) => {
+		const check = () => reads >= count ? resolve() : readWaiters.push(check);
+		check();
+	});
+
+	beforeEach(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "taemno-watch-"));
+		secrets = { "db/password": "first", "api/key": "k3y" };
+		failing = false;
+		reads = 0;
+		readWaiters = [];
+		taemnoOS = new TaemnoOS({
+			agent: false,
+			cacheTtl: 60000,
+			provider: {
+				set: async () => true,
+				get: async (service, account) => {
+					reads++;
+					readWaiters.splice(0).forEach((check) => check());
+					if (failing) throw new TaemnoError("Keychain is locked", ErrorCodes.PROVIDER_UNAVAILABLE);
+					return secrets[`${service}/${account}`];
+				},
+				exists: async () => true,
+				delete: async () => true
+			}
+		});
+	});
+
+	afterEach(() => {
+		watcher?.close();
+		watcher = null;
+		fs.rmSync(tmpDir, { recursive: true, force: true });
+	});
+
+	it("should report keys whose secret changed, without values", async () => {
+		watcher = await taemnoOS.watch({ DB: "$(taemno os://db/password)", API: "$(taemno os://api/key)" }, { interval: 20, maxInterval: 40 });
+		assert.strictEqual(watcher.env.DB, "first");
+
+		secrets["db/password"] = "second";
+		const [keys] = await once(watcher, "change");
+
+		assert.deepStrictEqual(keys, ["DB"]);
+		assert.strictEqual(watcher.env.DB, "second");
+		// The cached copy was replaced as well
+		assert.deepStrictEqual(await taemnoOS.resolveEnvironment({ DB: "$(taemno os://db/password)" }), { DB: "second" });
+	});
+
+	it("should re-resolve when the env file is edited", async () => {
+		const file = path.join(tmpDir, ".env");
+		fs.writeFileSync(file, "DB=$(taemno os://db/password)\nMODE=dev\n");
+		watcher = await taemnoOS.watch(file, { base: { HOME: "/home/me" }, interval: 60000 });
+		assert.deepStrictEqual(watcher.env, { HOME: "/home/me", DB: "first", MODE: "dev" });
+
+		fs.writeFileSync(file, "API=$(taemno os://api/key)\nMODE=dev\n");
+		const [keys] = await once(watcher, "change");
+
+		assert.deepStrictEqual(keys.sort(), ["API", "DB"]);
+		assert.deepStrictEqual(watcher.env, { HOME: "/home/me", API: "k3y", MODE: "dev" });
+	});
+
+	it("should only audit polls whose outcome changed", { timeout: 10000 }, async () => {
+		const entries = [];
+		taemnoOS.audit = { record: async (entry) => entries.push(entry) };
+		watcher = await taemnoOS.watch({ DB: "$(taemno os://db/password)" }, { interval: 10, maxInterval: 20 });
+
+		// The initial resolve and two polls are done, a third one started
+		await readsReached(4);
+		// Entries for the initial resolve and the first poll only
+		assert.strictEqual(entries.length, 2);
+
+		secrets["db/password"] = "second";
+		await once(watcher, "change");
+		assert.strictEqual(entries.length, 3);
+		assert.deepStrictEqual(entries.map(({ operation, outcome }) => `${operation}:${outcome}`), ["resolve:ok", "resolve:ok", "resolve:ok"]);
+	});
+
+	it("should back off while nothing changes or reading fails", { timeout: 10000 }, async () => {
+		watcher = await taemnoOS.watch({ DB: "$(taemno os://db/password)" }, { interval: 10, maxInterval: 40 });
+
+		failing = true;
+		const [error] = await once(watcher, "error");
+		assert.strictEqual(error.failures[0].code, ErrorCodes.PROVIDER_UNAVAILABLE);
+		assert.ok(watcher.delay > 10);
+		assert.strictEqual(watcher.env.DB, "first");
+
+		failing = false;
+		// A successful poll is done once the one after it started
+		await readsReached(reads + 2);
+		assert.strictEqual(watcher.delay, 40);
+	});
+
+	it("should reject invalid intervals", async () => {
+		await assert.rejects(taemnoOS.watch({}, { interval: 0 }), { code: ErrorCodes.INVALID_VALUE });
+		await assert.rejects(taemnoOS.watch({}, { interval: 100, maxInterval: 50 }), { code: ErrorCodes.INVALID_VALUE });
+	});
+});